@@ -0,0 +1,136 @@
+// Command-line flags and TPHOTOWALL_* environment variables, so the same build
+// can be started with different settings on each screen. Both override the
+// config files, and flags win over environment variables.
+
+const path = require('path');
+
+const ENV_PREFIX = 'TPHOTOWALL_';
+
+function parseSeconds(value) {
+    const seconds = Number(value);
+    return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : null;
+}
+
+function setSection(overrides, section, key, value) {
+    overrides[section] = { ...overrides[section], [key]: value };
+}
+
+// `value` options take an argument, the others are switches that can be
+// turned off with --no-<name> or =false
+const OPTIONS = {
+    config: { value: true },
+    folder: { value: true, repeatable: true, apply: (overrides, folders) => { overrides.sources = folders; } },
+    layout: { value: true, apply: (overrides, layout) => { overrides.layout = layout; } },
+    interval: {
+        value: true,
+        apply: (overrides, seconds) => {
+            const interval = parseSeconds(seconds);
+            if (interval === null) {
+                return `interval must be a number of seconds, got "${seconds}"`;
+            }
+            overrides.interval = interval;
+        }
+    },
+    transition: { value: true, apply: (overrides, transition) => { overrides.transition = transition; } },
+    port: { value: true, apply: (overrides, port) => setSection(overrides, 'uploadServer', 'port', Number(port)) },
+    kiosk: { apply: (overrides, enabled) => setSection(overrides, 'kiosk', 'enabled', enabled) },
+    display: { value: true, apply: (overrides, display) => setSection(overrides, 'kiosk', 'display', Number(display)) },
+    fullscreen: { apply: (overrides, enabled) => setSection(overrides, 'kiosk', 'fullscreen', enabled) },
+    'hide-cursor': { apply: (overrides, enabled) => setSection(overrides, 'kiosk', 'hideCursor', enabled) },
+    autoplay: { apply: (overrides, enabled) => { overrides.autoplay = enabled; } },
+    // passed by `npm run dev`
+    dev: {}
+};
+
+function parseSwitch(value) {
+    return !['0', 'false', 'no', 'off'].includes(String(value).toLowerCase());
+}
+
+function readArguments(argv, problems, unknown) {
+    const values = {};
+    for (let i = 0; i < argv.length; i++) {
+        // positional arguments such as the app folder are left to Electron
+        const match = /^--(no-)?([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+        if (!match) {
+            continue;
+        }
+
+        const [, negated, name, inlineValue] = match;
+        const option = OPTIONS[name];
+        if (!option || (negated && option.value)) {
+            unknown.push(argv[i]);
+            continue;
+        }
+
+        let value;
+        if (option.value) {
+            if (inlineValue !== undefined) {
+                value = inlineValue;
+            } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+                value = argv[++i];
+            }
+            if (value === undefined) {
+                problems.push(`--${name} needs a value`);
+                continue;
+            }
+        } else {
+            value = !negated && (inlineValue === undefined || parseSwitch(inlineValue));
+        }
+
+        if (option.repeatable) {
+            values[name] = [...(values[name] || []), value];
+        } else {
+            values[name] = value;
+        }
+    }
+    return values;
+}
+
+function readEnvironment(env) {
+    const values = {};
+    for (const [name, option] of Object.entries(OPTIONS)) {
+        const value = env[ENV_PREFIX + name.toUpperCase().replace(/-/g, '_')];
+        if (value === undefined || value === '') {
+            continue;
+        }
+        if (option.repeatable) {
+            values[name] = value.split(path.delimiter).filter(Boolean);
+        } else {
+            values[name] = option.value ? value : parseSwitch(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Reads the overrides for this run, e.g.
+ * `tphotowall --folder D:\event --layout 3x3 --interval 10 --fullscreen --autoplay`
+ * or `TPHOTOWALL_LAYOUT=3x3`. `--folder` can be repeated, and
+ * TPHOTOWALL_FOLDER takes a list separated like PATH.
+ *
+ * @param {string[]} argv - arguments after the executable (and app path)
+ * @param {Object} [env] - environment variables
+ * @returns {{ configFile: string|null, overrides: Object, problems: string[], unknown: string[] }}
+ */
+function parseCommandLine(argv, env = process.env) {
+    const problems = [];
+    const unknown = [];
+    const values = { ...readEnvironment(env), ...readArguments(argv, problems, unknown) };
+
+    const overrides = {};
+    for (const [name, value] of Object.entries(values)) {
+        const problem = OPTIONS[name].apply && OPTIONS[name].apply(overrides, value);
+        if (problem) {
+            problems.push(problem);
+        }
+    }
+
+    return {
+        configFile: values.config ? path.resolve(values.config) : null,
+        overrides,
+        problems,
+        unknown
+    };
+}
+
+module.exports = { parseCommandLine };
@@ -0,0 +1,604 @@
+// Versioned schema for config.json: older configs are migrated, values are
+// checked against the schema, and defaults are filled in for anything missing.
+
+const fs = require('fs');
+const { DEFAULT_LAYOUT, resolveLayout } = require('./layouts');
+const { DEFAULT_SCHEDULER_OPTIONS } = require('./playlistScheduler');
+const { SCHEDULE_TYPES, WEEKDAYS, parseTime } = require('./contentSchedule');
+const { WIDGET_POSITIONS } = require('./overlayWidgets');
+const { WIFI_SECURITY } = require('./qrCodes');
+const { hashPin, isPinHash } = require('./kioskPin');
+
+const CONFIG_VERSION = 3;
+
+const TRANSITION_NAMES = ['fade', 'crossfade', 'slide', 'zoom', 'flip', 'kenburns'];
+const CAPTION_FIELDS = ['title', 'description', 'author', 'camera', 'takenAt'];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getSourcePath(source) {
+    return typeof source === 'string' ? source : source?.path;
+}
+
+function checkLayout(layout, config) {
+    try {
+        resolveLayout(layout, config.layouts);
+        return null;
+    } catch (error) {
+        return `is not a valid layout (${error.message})`;
+    }
+}
+
+function checkLayouts(layouts) {
+    for (const [name, layout] of Object.entries(layouts)) {
+        try {
+            resolveLayout(layout);
+        } catch (error) {
+            return `has an invalid layout "${name}" (${error.message})`;
+        }
+    }
+    return null;
+}
+
+function checkSource(source) {
+    if (typeof source === 'string' || (isPlainObject(source) && typeof source.path === 'string')) {
+        return null;
+    }
+    return 'must be a folder path or an object with a "path"';
+}
+
+// a wall is one window on its own display, see `walls`
+function checkWall(wall, config) {
+    if (!isPlainObject(wall)) {
+        return 'must be an object';
+    }
+    const checks = {
+        display: () => checkRule({ type: 'integer', min: 0 }, wall.display, config),
+        layout: () => checkLayout(wall.layout, config),
+        sources: () => checkRule(CONFIG_SCHEMA.sources, wall.sources, config)
+    };
+    for (const key of Object.keys(wall)) {
+        if (!checks[key]) {
+            return `has an unknown setting "${key}"`;
+        }
+        const error = wall[key] === undefined ? null : checks[key]();
+        if (error) {
+            return `${key} ${error}`;
+        }
+    }
+    return null;
+}
+
+function checkTime(time) {
+    return parseTime(time) === null ? 'must be a time like "14:30"' : null;
+}
+
+function checkDate(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date)) ? null : 'must be a date like "2026-06-14"';
+}
+
+// a block of the `schedule`: a folder, interlude or blank screen at set times
+function checkScheduleBlock(block, config) {
+    if (!isPlainObject(block)) {
+        return 'must be an object';
+    }
+    const rules = {
+        type: { enum: SCHEDULE_TYPES },
+        path: { type: 'string' },
+        from: { type: 'string', check: checkTime },
+        to: { type: 'string', check: checkTime },
+        days: { type: 'array', items: { enum: WEEKDAYS } },
+        dates: { type: 'array', items: { type: 'string', check: checkDate } },
+        walls: { type: 'array', items: { type: 'integer', min: 1 } },
+        everyMinutes: { type: 'number', min: 1 },
+        durationSeconds: { type: 'number', min: 1 },
+        secondsPerPhoto: { type: 'number', min: 1, max: 3600 }
+    };
+    for (const key of Object.keys(block)) {
+        if (!rules[key]) {
+            return `has an unknown setting "${key}"`;
+        }
+        const error = block[key] === undefined ? null : checkRule(rules[key], block[key], config);
+        if (error) {
+            return `${key} ${error}`;
+        }
+    }
+
+    if (!block.type) {
+        return `needs a type: ${SCHEDULE_TYPES.join(', ')}`;
+    }
+    if (block.type !== 'blank' && !block.path) {
+        return `of type ${block.type} needs a path`;
+    }
+    if (block.type === 'interlude') {
+        if (!block.everyMinutes) {
+            return 'of type interlude needs everyMinutes';
+        }
+        if (block.durationSeconds > block.everyMinutes * 60) {
+            return 'durationSeconds must be shorter than everyMinutes';
+        }
+    }
+    return null;
+}
+
+function checkWidgetStyle(style, config) {
+    const rules = {
+        fontSize: { type: 'number', min: 6, max: 400 },
+        color: { type: 'string' },
+        background: { type: 'string' }
+    };
+    for (const key of Object.keys(style)) {
+        if (!rules[key]) {
+            return `has an unknown setting "${key}"`;
+        }
+        const error = checkRule(rules[key], style[key], config);
+        if (error) {
+            return `${key} ${error}`;
+        }
+    }
+    return null;
+}
+
+// every widget can be turned on, placed like the QR code panel and styled
+function widgetProperties(position, properties) {
+    return {
+        enabled: { type: 'boolean', default: false },
+        position: { enum: WIDGET_POSITIONS, default: position },
+        style: { type: 'object', check: checkWidgetStyle, default: {} },
+        ...properties
+    };
+}
+
+function checkColor(color) {
+    return /^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(color) ? null : 'must be a color like "#000000"';
+}
+
+function checkWifi(wifi, config) {
+    const rules = {
+        ssid: { type: 'string' },
+        password: { type: 'string' },
+        security: { enum: WIFI_SECURITY },
+        hidden: { type: 'boolean' }
+    };
+    for (const key of Object.keys(wifi)) {
+        if (!rules[key]) {
+            return `has an unknown setting "${key}"`;
+        }
+        const error = checkRule(rules[key], wifi[key], config);
+        if (error) {
+            return `${key} ${error}`;
+        }
+    }
+    return wifi.ssid ? null : 'needs an ssid';
+}
+
+// a QR code target has exactly one kind of content and an optional label
+function checkQrTarget(target, config) {
+    if (!isPlainObject(target)) {
+        return 'must be an object';
+    }
+    const rules = {
+        url: { type: 'string' },
+        text: { type: 'string' },
+        wifi: { type: 'object', check: checkWifi },
+        upload: { type: 'boolean' },
+        image: { type: 'string' },
+        label: { type: 'string' }
+    };
+    for (const key of Object.keys(target)) {
+        if (!rules[key]) {
+            return `has an unknown setting "${key}"`;
+        }
+        const error = checkRule(rules[key], target[key], config);
+        if (error) {
+            return `${key} ${error}`;
+        }
+    }
+    const kinds = ['url', 'text', 'wifi', 'upload', 'image'].filter(kind => target[kind]);
+    return kinds.length === 1 ? null : 'needs one of url, text, wifi, upload or image';
+}
+
+function checkPin(pin) {
+    return /^\d{4,12}$/.test(pin) ? null : 'must be 4 to 12 digits';
+}
+
+function checkPinHash(pinHash) {
+    return isPinHash(pinHash) ? null : 'is not a PIN hash written by tPhotowall';
+}
+
+function checkToken(token) {
+    return token.length >= 16 ? null : 'must be at least 16 characters';
+}
+
+function checkFolderName(name) {
+    return name && !/[\\/]/.test(name) ? null : 'must be a folder name without slashes';
+}
+
+// rules have a `type`, an optional `enum`, `min`, `max`, `items` for lists and
+// a `check` for anything else; sections group rules under `properties`
+const CONFIG_SCHEMA = {
+    version: { type: 'integer', min: 1 },
+    sources: { type: 'array', items: { check: checkSource }, default: [] },
+    qrCode: { type: 'string', default: '' },
+    qrCodes: {
+        properties: {
+            // without targets the panel shows the upload page, or else the `qrCode` image
+            targets: { type: 'array', items: { check: checkQrTarget }, default: [] },
+            label: { type: 'string', default: 'Scan to add your photos!' },
+            rotateSeconds: { type: 'number', min: 1, max: 3600, default: 20 },
+            size: { type: 'integer', min: 40, max: 1000, default: 80 },
+            position: { enum: WIDGET_POSITIONS, default: 'bottom-right' },
+            darkColor: { type: 'string', check: checkColor, default: '#000000' },
+            lightColor: { type: 'string', check: checkColor, default: '#ffffff' },
+            errorCorrection: { enum: ['L', 'M', 'Q', 'H'], default: 'M' }
+        }
+    },
+    // layouts come before layout, which may refer to them
+    layouts: { type: 'object', check: checkLayouts, default: {} },
+    layout: { check: checkLayout, default: DEFAULT_LAYOUT },
+    walls: { type: 'array', items: { check: checkWall }, default: [] },
+    schedule: { type: 'array', items: { check: checkScheduleBlock }, default: [] },
+    interval: { type: 'number', min: 1000, max: 3600000, default: 5000 },
+    autoplay: { type: 'boolean', default: false },
+    transition: { enum: TRANSITION_NAMES, default: 'crossfade' },
+    transitionDuration: { type: 'number', min: 1, max: 10000, default: 600 },
+    watcher: {
+        properties: {
+            stabilityThresholdMs: { type: 'number', min: 0, default: 2000 }
+        }
+    },
+    cache: {
+        properties: {
+            maxDimension: { type: 'integer', min: 64, default: 1920 },
+            maxSizeMB: { type: 'number', min: 1, default: 1024 }
+        }
+    },
+    heic: {
+        properties: {
+            workers: { type: 'integer', min: 1, max: 16 }
+        }
+    },
+    captions: {
+        properties: {
+            enabled: { type: 'boolean', default: false },
+            fields: { type: 'array', items: { enum: CAPTION_FIELDS }, default: ['title', 'author', 'takenAt'] }
+        }
+    },
+    video: {
+        properties: {
+            maxDurationSeconds: { type: 'number', min: 1, default: 30 }
+        }
+    },
+    scheduler: {
+        properties: {
+            shuffle: { type: 'boolean', default: DEFAULT_SCHEDULER_OPTIONS.shuffle },
+            recencyBoost: { type: 'number', min: 0, default: DEFAULT_SCHEDULER_OPTIONS.recencyBoost },
+            recencyHalfLifeMinutes: { type: 'number', min: 0, default: DEFAULT_SCHEDULER_OPTIONS.recencyHalfLifeMinutes },
+            minExposureMinutes: { type: 'number', min: 0, default: DEFAULT_SCHEDULER_OPTIONS.minExposureMinutes },
+            fairness: { enum: ['none', 'uploader', 'folder'], default: DEFAULT_SCHEDULER_OPTIONS.fairness },
+            favoriteWeight: { type: 'number', min: 1, max: 100, default: DEFAULT_SCHEDULER_OPTIONS.favoriteWeight },
+            nearDuplicateDistance: { type: 'integer', min: -1, max: 32, default: DEFAULT_SCHEDULER_OPTIONS.nearDuplicateDistance }
+        }
+    },
+    moderation: {
+        properties: {
+            enabled: { type: 'boolean', default: false },
+            quarantineFolder: { type: 'string', check: checkFolderName, default: 'quarantine' }
+        }
+    },
+    uploadServer: {
+        properties: {
+            enabled: { type: 'boolean', default: false },
+            port: { type: 'integer', min: 0, max: 65535, default: 8080 },
+            maxFileSizeMB: { type: 'number', min: 1, default: 50 }
+        }
+    },
+    remoteControl: {
+        properties: {
+            enabled: { type: 'boolean', default: false },
+            port: { type: 'integer', min: 0, max: 65535, default: 8081 },
+            // generated on first start when left out
+            token: { type: 'string', check: checkToken }
+        }
+    },
+    widgets: {
+        properties: {
+            clock: {
+                properties: widgetProperties('top-right', {
+                    showSeconds: { type: 'boolean', default: false },
+                    showDate: { type: 'boolean', default: false }
+                })
+            },
+            title: {
+                properties: widgetProperties('top-left', {
+                    text: { type: 'string', default: '' },
+                    logo: { type: 'string', default: '' }
+                })
+            },
+            photoCount: {
+                properties: widgetProperties('bottom-left', {
+                    // {count} is replaced by the number of photos
+                    text: { type: 'string', default: '{count} photos shared so far' }
+                })
+            },
+            ticker: {
+                properties: widgetProperties('bottom-center', {
+                    text: { type: 'string', default: '' },
+                    // pixels per second
+                    speed: { type: 'number', min: 10, max: 2000, default: 100 }
+                })
+            }
+        }
+    },
+    kiosk: {
+        properties: {
+            enabled: { type: 'boolean', default: false },
+            // index into the list of connected displays, the primary display when unset
+            display: { type: 'integer', min: 0 },
+            // a PIN typed into a config file, it is only kept as a hash in memory
+            pin: { type: 'string', check: checkPin },
+            // what the settings window stores, null when the PIN was removed there
+            pinHash: { type: 'string', check: checkPinHash, nullable: true },
+            fullscreen: { type: 'boolean', default: false },
+            hideCursor: { type: 'boolean', default: false }
+        }
+    }
+};
+
+// each migration upgrades a config from the previous version to its own
+const MIGRATIONS = {
+    // version 1 had a single startupFolder, version 2 a list of sources
+    2: (config) => {
+        const { startupFolder, ...migrated } = config;
+        if (startupFolder && !(Array.isArray(migrated.sources) && migrated.sources.length > 0)) {
+            migrated.sources = [startupFolder];
+        }
+        return migrated;
+    },
+    // version 3 stores the kiosk PIN as a salted hash
+    3: (config) => {
+        const { pin, ...kiosk } = isPlainObject(config.kiosk) ? config.kiosk : {};
+        // an invalid PIN is left for validation to report
+        if (typeof pin !== 'string' || checkPin(pin)) {
+            return config;
+        }
+        return { ...config, kiosk: { ...kiosk, pinHash: hashPin(pin) } };
+    }
+};
+
+/**
+ * Upgrades a config written by an older version. Configs without a
+ * `version` are version 1.
+ *
+ * @returns {{ config: Object, migrated: boolean, problems: string[] }}
+ */
+function migrateConfig(rawConfig) {
+    const fromVersion = Number.isInteger(rawConfig.version) ? rawConfig.version : 1;
+    if (fromVersion > CONFIG_VERSION) {
+        return {
+            config: rawConfig,
+            migrated: false,
+            problems: [`The config was written by a newer version of tPhotowall (version ${fromVersion}), some settings may be ignored`]
+        };
+    }
+
+    let config = rawConfig;
+    for (let version = fromVersion + 1; version <= CONFIG_VERSION; version++) {
+        config = MIGRATIONS[version](config);
+    }
+    return { config: { ...config, version: CONFIG_VERSION }, migrated: fromVersion < CONFIG_VERSION, problems: [] };
+}
+
+/**
+ * Returns why `value` does not satisfy `rule`, or null if it does.
+ */
+function checkRule(rule, value, config) {
+    if (value === null && rule.nullable) {
+        return null;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of ${rule.enum.join(', ')}`;
+    }
+
+    switch (rule.type) {
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return 'must be true or false';
+            }
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return 'must be a whole number';
+            }
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return 'must be a number';
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                return 'must be text';
+            }
+            break;
+        case 'object':
+            if (!isPlainObject(value)) {
+                return 'must be an object';
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return 'must be a list';
+            }
+            for (let i = 0; i < value.length; i++) {
+                const error = checkRule(rule.items, value[i], config);
+                if (error) {
+                    return `entry ${i + 1} ${error}`;
+                }
+            }
+            break;
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+        return `must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return `must be at most ${rule.max}`;
+    }
+    return rule.check ? rule.check(value, config) : null;
+}
+
+function validateSection(schema, values, prefix, problems, root) {
+    const result = {};
+    // rules that refer to other settings see the values validated so far
+    const config = root || result;
+
+    for (const key of Object.keys(values)) {
+        if (!schema[key]) {
+            problems.push(`Unknown setting "${prefix}${key}" is ignored`);
+        }
+    }
+
+    for (const [key, rule] of Object.entries(schema)) {
+        const name = `${prefix}${key}`;
+        const value = values[key];
+
+        if (rule.properties) {
+            if (value !== undefined && !isPlainObject(value)) {
+                problems.push(`"${name}" must be an object, using the defaults`);
+            }
+            result[key] = validateSection(rule.properties, isPlainObject(value) ? value : {}, `${name}.`, problems, config);
+            continue;
+        }
+
+        if (value !== undefined) {
+            const error = checkRule(rule, value, config);
+            if (!error) {
+                result[key] = value;
+                continue;
+            }
+            problems.push(`"${name}" ${error}, ${'default' in rule ? `using ${JSON.stringify(rule.default)}` : 'ignoring it'}`);
+        }
+
+        if ('default' in rule) {
+            result[key] = structuredClone(rule.default);
+        }
+    }
+    return result;
+}
+
+/**
+ * Lists configured folders and files that do not exist. These are kept in
+ * the config, a folder on a USB drive may only appear later.
+ */
+function findMissingPaths(config) {
+    const missing = [];
+    const sources = [
+        ...(config.sources || []),
+        ...(config.walls || []).flatMap(wall => wall.sources || []),
+        ...(config.schedule || []).filter(block => block.path).map(block => block.path)
+    ];
+    const missingFolders = [...new Set(sources.map(getSourcePath))].filter(folder => !fs.existsSync(folder));
+    if (missingFolders.length > 0) {
+        missing.push({ key: 'sources', message: `Folder not found: ${missingFolders.join(', ')}` });
+    }
+    if (config.qrCode && !fs.existsSync(config.qrCode)) {
+        missing.push({ key: 'qrCode', message: `QR code image not found: ${config.qrCode}` });
+    }
+    const qrImages = (config.qrCodes?.targets || []).filter(target => target.image && !fs.existsSync(target.image));
+    if (qrImages.length > 0) {
+        missing.push({ key: 'qrCodes', message: `QR code image not found: ${qrImages.map(target => target.image).join(', ')}` });
+    }
+    const logo = config.widgets?.title?.logo;
+    if (logo && !fs.existsSync(logo)) {
+        missing.push({ key: 'widgets', message: `Logo image not found: ${logo}` });
+    }
+    return missing;
+}
+
+/**
+ * Checks a (migrated) config against the schema. Invalid values are replaced
+ * by their defaults, unknown keys are dropped, and every problem is described
+ * in `problems` so it can be shown to whoever set up the wall.
+ *
+ * @returns {{ config: Object, problems: string[] }}
+ */
+function validateConfig(rawConfig) {
+    const problems = [];
+    const config = validateSection(CONFIG_SCHEMA, isPlainObject(rawConfig) ? rawConfig : {}, '', problems);
+    for (const { message } of findMissingPaths(config)) {
+        problems.push(message);
+    }
+    return { config, problems };
+}
+
+/**
+ * Checks the values submitted from the settings window. Returns the settings
+ * as they should be stored in config, or the problems found keyed by field.
+ *
+ * @param {Object} settings - values from the settings form
+ * @param {Object} [customLayouts] - the `layouts` section of the current config
+ * @returns {{ settings?: Object, errors?: Object<string, string> }}
+ */
+function validateSettings(settings, customLayouts = {}) {
+    const changes = {
+        sources: Array.isArray(settings.sources) ? settings.sources : [],
+        interval: Math.round(settings.intervalSeconds * 1000),
+        layout: settings.layout,
+        qrCode: settings.qrCode || '',
+        transition: settings.transition,
+        transitionDuration: Math.round(settings.transitionDuration),
+        kiosk: {
+            enabled: Boolean(settings.kiosk?.enabled),
+            display: Number.isInteger(settings.kiosk?.display) ? settings.kiosk.display : undefined,
+            fullscreen: Boolean(settings.kiosk?.fullscreen),
+            hideCursor: Boolean(settings.kiosk?.hideCursor)
+        }
+    };
+
+    const fields = {
+        sources: 'Folders',
+        intervalSeconds: 'Interval',
+        layout: 'Layout',
+        qrCode: 'QR code',
+        transition: 'Transition',
+        transitionDuration: 'Transition duration'
+    };
+    const errors = {};
+    for (const field of Object.keys(fields)) {
+        // the form shows the interval in seconds
+        const rule = field === 'intervalSeconds' ? { type: 'number', min: 1, max: 3600 } : CONFIG_SCHEMA[field];
+        const value = field === 'intervalSeconds' ? settings.intervalSeconds : changes[field];
+        const error = value === undefined && 'default' in rule ? null : checkRule(rule, value, { layouts: customLayouts });
+        if (error) {
+            errors[field] = `${fields[field]} ${error}`;
+        }
+    }
+    // an empty PIN field keeps the PIN that is set; a PIN typed into a config file goes either way
+    if (settings.kiosk?.pin) {
+        const error = checkPin(settings.kiosk.pin);
+        if (error) {
+            errors.kioskPin = `PIN ${error}`;
+        } else {
+            Object.assign(changes.kiosk, { pin: undefined, pinHash: hashPin(settings.kiosk.pin) });
+        }
+    } else if (settings.kiosk?.removePin) {
+        // kept as null, so a PIN from the bundled config does not come back
+        Object.assign(changes.kiosk, { pin: undefined, pinHash: null });
+    }
+    for (const { key, message } of findMissingPaths(changes)) {
+        errors[key] = errors[key] || message;
+    }
+
+    return Object.keys(errors).length > 0 ? { errors } : { settings: changes };
+}
+
+module.exports = {
+    CONFIG_VERSION,
+    TRANSITION_NAMES,
+    migrateConfig,
+    validateConfig,
+    validateSettings
+};
@@ -0,0 +1,100 @@
+// Time-based blocks from the `schedule` in config: another folder shown at set
+// times, an interlude that takes over the screen every few minutes, or a blank
+// screen overnight. Everything here is a plain function of the clock, so main
+// can check the schedule as often as it likes.
+
+const SCHEDULE_TYPES = ['folder', 'interlude', 'blank'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SECONDS = 24 * 60 * 60;
+const DEFAULT_INTERLUDE_SECONDS = 30;
+const DEFAULT_SECONDS_PER_PHOTO = 5;
+
+/**
+ * Parses "HH:MM" into seconds since midnight, null if it is not a time.
+ * "24:00" is allowed as the end of a day.
+ */
+function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+    if (!match) {
+        return null;
+    }
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) {
+        return null;
+    }
+    return (hours * 60 + minutes) * 60;
+}
+
+function formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function isOnDay(block, date) {
+    if (block.days && !block.days.includes(WEEKDAYS[date.getDay()])) {
+        return false;
+    }
+    return !block.dates || block.dates.includes(formatDate(date));
+}
+
+// seconds since the block's time window opened, null while it is closed
+function getSecondsIntoWindow(block, date) {
+    const seconds = date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+    const from = block.from ? parseTime(block.from) : 0;
+    const to = block.to ? parseTime(block.to) : DAY_SECONDS;
+
+    if (from < to) {
+        return from <= seconds && seconds < to && isOnDay(block, date) ? seconds - from : null;
+    }
+
+    // the window runs past midnight, and belongs to the day it starts on
+    if (seconds >= from) {
+        return isOnDay(block, date) ? seconds - from : null;
+    }
+    if (seconds < to) {
+        const yesterday = new Date(date);
+        yesterday.setDate(date.getDate() - 1);
+        return isOnDay(block, yesterday) ? seconds + DAY_SECONDS - from : null;
+    }
+    return null;
+}
+
+function isBlockActive(block, date) {
+    const secondsIntoWindow = getSecondsIntoWindow(block, date);
+    if (secondsIntoWindow === null) {
+        return false;
+    }
+    if (block.type === 'interlude') {
+        // the first interlude starts as the window opens
+        const duration = block.durationSeconds || DEFAULT_INTERLUDE_SECONDS;
+        return secondsIntoWindow % (block.everyMinutes * 60) < duration;
+    }
+    return true;
+}
+
+/**
+ * Works out what a wall should show at `date`. A blank screen wins over an
+ * interlude, which wins over a folder; of two blocks of the same type the
+ * one listed first wins.
+ *
+ * @param {Object[]} schedule - the `schedule` section of config
+ * @param {Date} date
+ * @param {number} wallIndex - index of the wall, blocks list walls from 1
+ * @returns {{ blank: boolean, folder: string|null, interlude: { path: string, secondsPerPhoto: number }|null }}
+ */
+function getScheduledState(schedule, date, wallIndex) {
+    const active = schedule.filter(block => (!block.walls || block.walls.includes(wallIndex + 1)) && isBlockActive(block, date));
+    const findActive = type => active.find(block => block.type === type);
+    const interlude = findActive('interlude');
+    return {
+        blank: Boolean(findActive('blank')),
+        folder: findActive('folder')?.path || null,
+        interlude: interlude ? {
+            path: interlude.path,
+            secondsPerPhoto: interlude.secondsPerPhoto || DEFAULT_SECONDS_PER_PHOTO
+        } : null
+    };
+}
+
+module.exports = { SCHEDULE_TYPES, WEEKDAYS, getScheduledState, parseTime };
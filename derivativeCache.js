@@ -0,0 +1,344 @@
+// Display-sized JPEG derivatives of source photos, stored under userData so
+// large originals and HEIC files only have to be decoded once.
+
+const { nativeImage } = require('electron');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_OPTIONS = {
+    maxDimension: 1920,
+    maxBytes: 1024 * 1024 * 1024,
+    quality: 85
+};
+
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+// animated or otherwise special formats are shown as-is
+const PASSTHROUGH_EXTENSIONS = ['.gif'];
+
+const EVICTION_DELAY = 10000;
+// decoding, resizing and encoding run on the main thread, so only a few
+// derivatives are made at a time and other work gets a turn in between
+const MAX_CONCURRENT_DERIVATIVES = 2;
+
+/**
+ * Applies an EXIF orientation (2-8) to a 32-bit-per-pixel bitmap and returns
+ * the upright pixels with their new dimensions.
+ */
+function applyOrientation(bitmap, width, height, orientation) {
+    if (!orientation || orientation === 1) {
+        return { bitmap, width, height };
+    }
+
+    const source = new Uint32Array(width * height);
+    Buffer.from(source.buffer).set(bitmap);
+    const swapsAxes = orientation >= 5;
+    const outWidth = swapsAxes ? height : width;
+    const outHeight = swapsAxes ? width : height;
+    const output = new Uint32Array(outWidth * outHeight);
+
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            let sx;
+            let sy;
+            switch (orientation) {
+                case 2: sx = width - 1 - x; sy = y; break;
+                case 3: sx = width - 1 - x; sy = height - 1 - y; break;
+                case 4: sx = x; sy = height - 1 - y; break;
+                case 5: sx = y; sy = x; break;
+                case 6: sx = y; sy = height - 1 - x; break;
+                case 7: sx = width - 1 - y; sy = height - 1 - x; break;
+                case 8: sx = width - 1 - y; sy = x; break;
+                default: sx = x; sy = y; break;
+            }
+            output[y * outWidth + x] = source[sy * width + sx];
+        }
+    }
+
+    return { bitmap: Buffer.from(output.buffer), width: outWidth, height: outHeight };
+}
+
+/**
+ * Wraps the RGBA pixels produced by libheif in a nativeImage.
+ */
+function createImageFromRgba(imageData, width, height) {
+    // nativeImage expects BGRA
+    const bitmap = Buffer.from(imageData.buffer);
+    for (let i = 0; i < bitmap.length; i += 4) {
+        const red = bitmap[i];
+        bitmap[i] = bitmap[i + 2];
+        bitmap[i + 2] = red;
+    }
+    return nativeImage.createFromBitmap(bitmap, { width, height });
+}
+
+class DerivativeCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - folder the derivatives are written to
+     * @param {number} [options.maxDimension] - longest edge of a derivative in pixels
+     * @param {number} [options.maxBytes] - total size the cache is trimmed back to
+     * @param {number} [options.quality] - JPEG quality from 0 to 100
+     * @param {(filePath: string, signal?: AbortSignal) => Promise<{ width: number, height: number, imageData: Uint8ClampedArray }>} options.decodeHeic
+     * @param {(filePath: string) => Promise<{ orientation: number }>} options.readMetadata
+     */
+    constructor(options) {
+        // options left undefined in config keep their defaults
+        const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+        this.options = { ...DEFAULT_OPTIONS, ...definedOptions };
+        this.inFlight = new Map();
+        // derivatives a window still holds may be on screen and are not evicted,
+        // by source path: the cache key and the windows holding it
+        this.inUse = new Map();
+        this.pending = [];
+        this.running = 0;
+        this.evictionTimer = null;
+
+        fs.mkdirSync(this.options.directory, { recursive: true });
+    }
+
+    async getCacheKey(filePath) {
+        const stats = await fs.promises.stat(filePath);
+        return crypto.createHash('sha1')
+            .update(`${filePath}|${stats.mtimeMs}|${stats.size}|${this.options.maxDimension}|${this.options.quality}`)
+            .digest('hex');
+    }
+
+    /**
+     * Returns the path and dimensions of a display-sized version of the photo,
+     * creating it if needed. Falls back to the original file for formats that
+     * cannot be decoded here. Aborting `signal` cancels this request; the shared
+     * decode is only cancelled once every request waiting for it was.
+     * The derivative is kept until `owner` releases it.
+     */
+    async getDisplayImage(filePath, signal, owner) {
+        const key = await this.getCacheKey(filePath);
+        let job = this.inFlight.get(key);
+        if (!job) {
+            const controller = new AbortController();
+            job = { controller, waiters: 0 };
+            job.promise = this.loadOrCreate(filePath, key, controller.signal).finally(() => {
+                if (this.inFlight.get(key) === job) {
+                    this.inFlight.delete(key);
+                }
+            });
+            // every waiter may have given up by the time the job fails
+            job.promise.catch(() => {});
+            this.inFlight.set(key, job);
+        }
+
+        const info = await this.waitForJob(key, job, signal);
+        this.hold(filePath, key, owner);
+        return info;
+    }
+
+    waitForJob(key, job, signal) {
+        return new Promise((resolve, reject) => {
+            let waiting = true;
+            job.waiters++;
+            const leave = () => {
+                waiting = false;
+                job.waiters--;
+                signal?.removeEventListener('abort', onAbort);
+            };
+            const onAbort = () => {
+                leave();
+                if (job.waiters === 0) {
+                    job.controller.abort();
+                    if (this.inFlight.get(key) === job) {
+                        this.inFlight.delete(key);
+                    }
+                }
+                reject(new Error('Display image cancelled'));
+            };
+
+            if (signal?.aborted) {
+                onAbort();
+                return;
+            }
+            signal?.addEventListener('abort', onAbort);
+            job.promise.then(info => {
+                if (waiting) {
+                    leave();
+                    resolve(info);
+                }
+            }, error => {
+                if (waiting) {
+                    leave();
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    hold(filePath, key, owner) {
+        const entry = this.inUse.get(filePath);
+        // a changed file has a new key, the derivative of the old version is free to go
+        if (!entry || entry.key !== key) {
+            this.inUse.set(filePath, { key, owners: new Set([owner]) });
+        } else {
+            entry.owners.add(owner);
+        }
+    }
+
+    /**
+     * Lets the derivatives of photos `owner` no longer shows be evicted again.
+     */
+    release(filePaths, owner) {
+        for (const filePath of filePaths) {
+            const entry = this.inUse.get(filePath);
+            if (entry) {
+                entry.owners.delete(owner);
+                if (entry.owners.size === 0) {
+                    this.inUse.delete(filePath);
+                }
+            }
+        }
+    }
+
+    releaseAll(owner) {
+        this.release([...this.inUse.keys()], owner);
+    }
+
+    runQueued(task, signal) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ task, signal, resolve, reject });
+            this.runNext();
+        });
+    }
+
+    runNext() {
+        while (this.running < MAX_CONCURRENT_DERIVATIVES && this.pending.length > 0) {
+            const { task, signal, resolve, reject } = this.pending.shift();
+            if (signal?.aborted) {
+                reject(new Error('Display image cancelled'));
+                continue;
+            }
+            this.running++;
+            task().then(resolve, reject).finally(() => {
+                this.running--;
+                setImmediate(() => this.runNext());
+            });
+        }
+    }
+
+    async loadOrCreate(filePath, key, signal) {
+        const derivativePath = path.join(this.options.directory, `${key}.jpg`);
+        const infoPath = path.join(this.options.directory, `${key}.json`);
+
+        try {
+            const info = JSON.parse(await fs.promises.readFile(infoPath, 'utf8'));
+            await fs.promises.access(info.path);
+            const now = new Date();
+            // touch the entry so eviction keeps recently used derivatives
+            await fs.promises.utimes(infoPath, now, now);
+            return info;
+        } catch (error) {
+            // not cached yet, or the derivative was removed
+        }
+
+        const info = await this.runQueued(() => this.createDerivative(filePath, derivativePath, signal), signal);
+        await fs.promises.writeFile(infoPath, JSON.stringify(info));
+        this.scheduleEviction();
+        return info;
+    }
+
+    async createDerivative(filePath, derivativePath, signal) {
+        const ext = path.extname(filePath).toLowerCase();
+        const isHeic = HEIC_EXTENSIONS.includes(ext);
+        let image;
+
+        if (PASSTHROUGH_EXTENSIONS.includes(ext)) {
+            image = null;
+        } else if (isHeic) {
+            const { width, height, imageData } = await this.options.decodeHeic(filePath, signal);
+            image = createImageFromRgba(imageData, width, height);
+        } else {
+            image = nativeImage.createFromPath(filePath);
+        }
+
+        if (!image || image.isEmpty()) {
+            // let the renderer decode formats nativeImage does not support
+            return { path: filePath };
+        }
+
+        const size = image.getSize();
+        const scale = Math.min(1, this.options.maxDimension / Math.max(size.width, size.height));
+        if (scale < 1) {
+            image = image.resize({
+                width: Math.round(size.width * scale),
+                height: Math.round(size.height * scale),
+                quality: 'good'
+            });
+        }
+
+        // libheif already applies HEIF rotation when decoding
+        const { orientation } = isHeic ? { orientation: 1 } : await this.options.readMetadata(filePath);
+        if (orientation > 1) {
+            const resized = image.getSize();
+            const upright = applyOrientation(image.toBitmap(), resized.width, resized.height, orientation);
+            image = nativeImage.createFromBitmap(upright.bitmap, { width: upright.width, height: upright.height });
+        }
+
+        const { width, height } = image.getSize();
+        await fs.promises.writeFile(derivativePath, image.toJPEG(this.options.quality));
+        console.log('DerivativeCache: Created derivative for', filePath, `${width}x${height}`);
+        return { path: derivativePath, width, height };
+    }
+
+    scheduleEviction() {
+        if (this.evictionTimer) {
+            return;
+        }
+        this.evictionTimer = setTimeout(() => {
+            this.evictionTimer = null;
+            this.evict().catch(error => console.error('DerivativeCache: Eviction failed:', error));
+        }, EVICTION_DELAY);
+    }
+
+    /**
+     * Deletes the least recently used derivatives until the cache is back
+     * under its size limit.
+     */
+    async evict() {
+        const entries = new Map();
+        let totalBytes = 0;
+
+        for (const fileName of await fs.promises.readdir(this.options.directory)) {
+            const key = path.basename(fileName, path.extname(fileName));
+            const stats = await fs.promises.stat(path.join(this.options.directory, fileName));
+            const entry = entries.get(key) || { key, files: [], bytes: 0, lastUsed: 0 };
+            entry.files.push(fileName);
+            entry.bytes += stats.size;
+            entry.lastUsed = Math.max(entry.lastUsed, stats.mtimeMs);
+            entries.set(key, entry);
+            totalBytes += stats.size;
+        }
+
+        if (totalBytes <= this.options.maxBytes) {
+            return;
+        }
+
+        const inUseKeys = new Set([...this.inUse.values()].map(entry => entry.key));
+        const candidates = [...entries.values()]
+            .filter(entry => !inUseKeys.has(entry.key))
+            .sort((a, b) => a.lastUsed - b.lastUsed);
+
+        for (const entry of candidates) {
+            if (totalBytes <= this.options.maxBytes) {
+                break;
+            }
+            for (const fileName of entry.files) {
+                await fs.promises.unlink(path.join(this.options.directory, fileName));
+            }
+            totalBytes -= entry.bytes;
+        }
+
+        if (totalBytes > this.options.maxBytes) {
+            console.warn('DerivativeCache: Photos in use exceed the cache size limit');
+        }
+        console.log(`DerivativeCache: Trimmed cache to ${Math.round(totalBytes / 1024 / 1024)} MB`);
+    }
+}
+
+module.exports = { DerivativeCache, applyOrientation, createImageFromRgba };
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+
+// EXIF and XMP live in APP1 segments near the start of a JPEG
+const JPEG_SCAN_BYTES = 256 * 1024;
+// HEIF stores metadata as items that may sit anywhere in the file, the `meta`
+// box says where; these limits keep a broken file from being read whole
+const HEIF_MAX_META_BYTES = 4 * 1024 * 1024;
+const HEIF_MAX_ITEM_BYTES = 1024 * 1024;
+const HEIF_EXTENSIONS = ['.heic', '.heif'];
+
+const TAGS = {
+    IMAGE_DESCRIPTION: 0x010E,
+    MAKE: 0x010F,
+    MODEL: 0x0110,
+    ORIENTATION: 0x0112,
+    ARTIST: 0x013B,
+    EXIF_IFD: 0x8769,
+    DATE_TIME_ORIGINAL: 0x9003,
+    XP_TITLE: 0x9C9B,
+    XP_COMMENT: 0x9C9C,
+    XP_AUTHOR: 0x9C9D
+};
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 7: 1 };
+
+async function readFileHead(filePath, length) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const buffer = Buffer.alloc(Math.min(length, size));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+function findJpegSegments(buffer) {
+    const segments = { exif: null, xmp: null };
+    if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xFFD8) {
+        return segments;
+    }
+
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            break;
+        }
+        const marker = buffer[offset + 1];
+        const segmentLength = buffer.readUInt16BE(offset + 2);
+
+        // start of scan, image data follows and there are no more headers
+        if (marker === 0xDA) {
+            break;
+        }
+
+        if (marker === 0xE1) {
+            const segment = buffer.subarray(offset + 4, Math.min(offset + 2 + segmentLength, buffer.length));
+            if (segment.toString('latin1', 0, 6) === 'Exif\0\0') {
+                segments.exif = segment.subarray(6);
+            } else if (segment.toString('latin1', 0, 29) === 'http://ns.adobe.com/xap/1.0/\0') {
+                segments.xmp = segment.subarray(29).toString('utf8');
+            }
+        }
+
+        offset += 2 + segmentLength;
+    }
+    return segments;
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+function readUIntBE(buffer, offset, size) {
+    if (size === 0) {
+        return 0;
+    }
+    return size === 8 ? Number(buffer.readBigUInt64BE(offset)) : buffer.readUIntBE(offset, size);
+}
+
+// calls onBox(type, start, end) for each box in buffer[offset, end), `start` is past the header
+function forEachBox(buffer, offset, end, onBox) {
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) {
+            return;
+        }
+        onBox(type, offset + headerSize, offset + size);
+        offset += size;
+    }
+}
+
+// the top-level `meta` box, found by reading only the box headers of the file
+async function readHeifMetaBox(handle, fileSize) {
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+        const header = await readAt(handle, offset, 16);
+        let size = header.readUInt32BE(0);
+        const type = header.toString('latin1', 4, 8);
+        if (size === 1) {
+            size = Number(header.readBigUInt64BE(8));
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+        if (size < 8) {
+            return null;
+        }
+        if (type === 'meta') {
+            return size <= HEIF_MAX_META_BYTES ? readAt(handle, offset, size) : null;
+        }
+        offset += size;
+    }
+    return null;
+}
+
+function parseItemInfos(meta, start, end) {
+    const items = new Map();
+    const version = meta[start];
+    const entriesStart = start + 4 + (version === 0 ? 2 : 4);
+    forEachBox(meta, entriesStart, end, (type, boxStart) => {
+        const infeVersion = meta[boxStart];
+        if (type !== 'infe' || infeVersion < 2) {
+            return;
+        }
+        let pos = boxStart + 4;
+        const itemId = infeVersion === 2 ? meta.readUInt16BE(pos) : meta.readUInt32BE(pos);
+        pos += (infeVersion === 2 ? 2 : 4) + 2;
+        const itemType = meta.toString('latin1', pos, pos + 4);
+        pos += 4;
+        let contentType = '';
+        if (itemType === 'mime') {
+            // item_name, then content_type, both null terminated
+            pos = meta.indexOf(0, pos) + 1;
+            contentType = meta.toString('latin1', pos, meta.indexOf(0, pos));
+        }
+        items.set(itemId, { itemType, contentType });
+    });
+    return items;
+}
+
+function parseItemLocations(meta, start) {
+    const locations = new Map();
+    const version = meta[start];
+    let pos = start + 4;
+    const offsetSize = meta[pos] >> 4;
+    const lengthSize = meta[pos] & 0x0F;
+    const baseOffsetSize = meta[pos + 1] >> 4;
+    const indexSize = version === 1 || version === 2 ? meta[pos + 1] & 0x0F : 0;
+    pos += 2;
+    const itemCount = version < 2 ? meta.readUInt16BE(pos) : meta.readUInt32BE(pos);
+    pos += version < 2 ? 2 : 4;
+
+    for (let i = 0; i < itemCount; i++) {
+        const itemId = version < 2 ? meta.readUInt16BE(pos) : meta.readUInt32BE(pos);
+        pos += version < 2 ? 2 : 4;
+        let constructionMethod = 0;
+        if (version === 1 || version === 2) {
+            constructionMethod = meta.readUInt16BE(pos) & 0x0F;
+            pos += 2;
+        }
+        pos += 2; // data_reference_index
+        const baseOffset = readUIntBE(meta, pos, baseOffsetSize);
+        pos += baseOffsetSize;
+        const extentCount = meta.readUInt16BE(pos);
+        pos += 2;
+        const extents = [];
+        for (let j = 0; j < extentCount; j++) {
+            pos += indexSize;
+            const offset = readUIntBE(meta, pos, offsetSize);
+            pos += offsetSize;
+            const length = readUIntBE(meta, pos, lengthSize);
+            pos += lengthSize;
+            extents.push({ offset: baseOffset + offset, length });
+        }
+        locations.set(itemId, { constructionMethod, extents });
+    }
+    return locations;
+}
+
+/**
+ * Reads the Exif and XMP items of a HEIF file. Only the box headers, the
+ * `meta` box and the items themselves are read, not the image data.
+ */
+async function readHeifSegments(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const meta = await readHeifMetaBox(handle, size);
+        if (!meta) {
+            return { exif: null, xmp: null };
+        }
+
+        let items = new Map();
+        let locations = new Map();
+        let idat = null;
+        // meta is a full box, its children start after the version and flags
+        const metaStart = meta.readUInt32BE(0) === 1 ? 20 : 12;
+        forEachBox(meta, metaStart, meta.length, (type, start, end) => {
+            if (type === 'iinf') {
+                items = parseItemInfos(meta, start, end);
+            } else if (type === 'iloc') {
+                locations = parseItemLocations(meta, start);
+            } else if (type === 'idat') {
+                idat = meta.subarray(start, end);
+            }
+        });
+
+        const readItem = async (itemId) => {
+            const location = locations.get(itemId);
+            if (!location) {
+                return null;
+            }
+            const chunks = [];
+            let total = 0;
+            for (const { offset, length } of location.extents) {
+                // an extent length of 0 means up to the end of the file
+                const extentLength = length || size - offset;
+                total += extentLength;
+                if (total > HEIF_MAX_ITEM_BYTES) {
+                    return null;
+                }
+                // construction method 1 points into the idat box instead of the file
+                chunks.push(location.constructionMethod === 1
+                    ? idat?.subarray(offset, offset + extentLength) || Buffer.alloc(0)
+                    : await readAt(handle, offset, extentLength));
+            }
+            return Buffer.concat(chunks);
+        };
+
+        let exif = null;
+        let xmp = null;
+        for (const [itemId, { itemType, contentType }] of items) {
+            if (itemType === 'Exif' && !exif) {
+                const data = await readItem(itemId);
+                // the TIFF header follows an offset, which skips the "Exif\0\0" prefix
+                if (data && data.length >= 4) {
+                    exif = data.subarray(4 + data.readUInt32BE(0));
+                }
+            } else if (itemType === 'mime' && contentType === 'application/rdf+xml' && !xmp) {
+                const data = await readItem(itemId);
+                xmp = data ? data.toString('utf8') : null;
+            }
+        }
+        return { exif, xmp };
+    } finally {
+        await handle.close();
+    }
+}
+
+function readTiffTags(tiff) {
+    const tags = new Map();
+    if (tiff.length < 8) {
+        return tags;
+    }
+
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const readUInt16 = (pos) => littleEndian ? tiff.readUInt16LE(pos) : tiff.readUInt16BE(pos);
+    const readUInt32 = (pos) => littleEndian ? tiff.readUInt32LE(pos) : tiff.readUInt32BE(pos);
+
+    const readValue = (entryOffset) => {
+        const type = readUInt16(entryOffset + 2);
+        const count = readUInt32(entryOffset + 4);
+        const size = TYPE_SIZES[type];
+        if (!size) {
+            return undefined;
+        }
+
+        const byteLength = size * count;
+        const valueOffset = byteLength <= 4 ? entryOffset + 8 : readUInt32(entryOffset + 8);
+        if (valueOffset + byteLength > tiff.length) {
+            return undefined;
+        }
+
+        switch (type) {
+            case 2:
+                return tiff.toString('utf8', valueOffset, valueOffset + byteLength).replace(/\0+$/, '').trim();
+            case 3:
+                return readUInt16(valueOffset);
+            case 4:
+                return readUInt32(valueOffset);
+            default:
+                return tiff.subarray(valueOffset, valueOffset + byteLength);
+        }
+    };
+
+    const readIfd = (ifdOffset) => {
+        if (ifdOffset + 2 > tiff.length) {
+            return;
+        }
+        const entryCount = readUInt16(ifdOffset);
+        for (let i = 0; i < entryCount; i++) {
+            const entryOffset = ifdOffset + 2 + i * 12;
+            if (entryOffset + 12 > tiff.length) {
+                break;
+            }
+            tags.set(readUInt16(entryOffset), readValue(entryOffset));
+        }
+    };
+
+    readIfd(readUInt32(4));
+    const exifIfdOffset = tags.get(TAGS.EXIF_IFD);
+    if (typeof exifIfdOffset === 'number') {
+        readIfd(exifIfdOffset);
+    }
+    return tags;
+}
+
+function decodeXpString(value) {
+    // Windows XP* tags are UCS-2 stored as a byte array
+    return Buffer.isBuffer(value) ? value.toString('utf16le').replace(/\0+$/, '').trim() : undefined;
+}
+
+function parseExifDate(value) {
+    // EXIF dates look like "2024:06:01 14:03:22" in camera local time
+    const match = typeof value === 'string' && /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value);
+    return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : undefined;
+}
+
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function readXmpProperty(xmp, name) {
+    const match = new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`).exec(xmp);
+    if (!match) {
+        return undefined;
+    }
+    const item = /<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/.exec(match[1]);
+    const text = decodeXmlEntities((item ? item[1] : match[1]).trim());
+    return text || undefined;
+}
+
+function firstDefined(...values) {
+    return values.find(value => typeof value === 'string' ? value.length > 0 : value !== undefined && value !== null);
+}
+
+/**
+ * Extracts display metadata from the EXIF and XMP blocks of a JPEG or HEIF
+ * file. Missing fields are left undefined; orientation defaults to 1 (upright).
+ */
+async function readImageMetadata(filePath) {
+    const metadata = { orientation: 1 };
+    try {
+        const isHeif = HEIF_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+        const { exif, xmp } = isHeif
+            ? await readHeifSegments(filePath)
+            : findJpegSegments(await readFileHead(filePath, JPEG_SCAN_BYTES));
+        const tags = exif ? readTiffTags(exif) : new Map();
+
+        const orientation = tags.get(TAGS.ORIENTATION);
+        if (orientation >= 1 && orientation <= 8) {
+            metadata.orientation = orientation;
+        }
+
+        const make = tags.get(TAGS.MAKE);
+        const model = tags.get(TAGS.MODEL);
+        // most models already start with the make, e.g. "Canon" + "Canon EOS R6"
+        metadata.camera = model && make && !model.startsWith(make) ? `${make} ${model}` : firstDefined(model, make);
+
+        metadata.takenAt = parseExifDate(tags.get(TAGS.DATE_TIME_ORIGINAL));
+        metadata.title = firstDefined(xmp && readXmpProperty(xmp, 'dc:title'), decodeXpString(tags.get(TAGS.XP_TITLE)));
+        metadata.description = firstDefined(
+            xmp && readXmpProperty(xmp, 'dc:description'),
+            tags.get(TAGS.IMAGE_DESCRIPTION),
+            decodeXpString(tags.get(TAGS.XP_COMMENT))
+        );
+        metadata.author = firstDefined(
+            xmp && readXmpProperty(xmp, 'dc:creator'),
+            tags.get(TAGS.ARTIST),
+            decodeXpString(tags.get(TAGS.XP_AUTHOR))
+        );
+    } catch (error) {
+        console.error('Failed to read image metadata:', filePath, error);
+    }
+    return metadata;
+}
+
+module.exports = { readImageMetadata };
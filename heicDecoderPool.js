@@ -0,0 +1,161 @@
+const { Worker } = require('worker_threads');
+const os = require('os');
+const path = require('path');
+
+const WORKER_SCRIPT = path.join(__dirname, 'heicWorker.js');
+// stop respawning workers that crash repeatedly, e.g. when libheif fails to load
+const MAX_CONSECUTIVE_CRASHES = 5;
+
+class HeicDecoderPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.size] - number of worker threads decoding at once
+     */
+    constructor(options = {}) {
+        this.size = options.size || Math.max(1, Math.min(2, os.cpus().length - 1));
+        this.workers = [];
+        this.queue = [];
+        this.nextId = 1;
+        this.consecutiveCrashes = 0;
+        this.destroyed = false;
+
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.createWorker());
+        }
+        console.log(`HeicDecoderPool: Started ${this.size} worker(s)`);
+    }
+
+    createWorker() {
+        const slot = { worker: new Worker(WORKER_SCRIPT), job: null };
+
+        slot.worker.on('message', (message) => {
+            const job = slot.job;
+            if (!job || job.id !== message.id) {
+                return;
+            }
+            this.consecutiveCrashes = 0;
+            this.finishJob(slot);
+            if (message.error) {
+                job.reject(new Error(message.error));
+            } else {
+                job.resolve({ width: message.width, height: message.height, imageData: message.imageData });
+            }
+        });
+
+        slot.worker.on('error', (error) => {
+            console.error('HeicDecoderPool: Worker crashed:', error);
+            this.consecutiveCrashes++;
+            this.replaceWorker(slot, error);
+        });
+
+        return slot;
+    }
+
+    /**
+     * Replaces a crashed or cancelled worker with a fresh one, failing the job
+     * it was running.
+     */
+    replaceWorker(slot, error) {
+        const job = slot.job;
+        slot.job = null;
+        slot.worker.removeAllListeners();
+        slot.worker.terminate();
+
+        const index = this.workers.indexOf(slot);
+        if (index !== -1) {
+            if (!this.destroyed && this.consecutiveCrashes < MAX_CONSECUTIVE_CRASHES) {
+                this.workers[index] = this.createWorker();
+            } else {
+                this.workers.splice(index, 1);
+            }
+        }
+        if (job) {
+            job.cleanup();
+            job.reject(error);
+        }
+
+        if (this.workers.length === 0 && !this.destroyed) {
+            console.error('HeicDecoderPool: No workers left, HEIC decoding is unavailable');
+            this.destroy();
+            return;
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Decodes a HEIC file to RGBA pixels. Pass an AbortSignal to cancel a
+     * queued or running decode.
+     */
+    decode(filePath, signal) {
+        if (this.destroyed) {
+            return Promise.reject(new Error('HEIC decoder pool has been shut down'));
+        }
+        if (signal?.aborted) {
+            return Promise.reject(new Error('HEIC decode cancelled'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { id: this.nextId++, filePath, resolve, reject, cleanup: () => {} };
+
+            if (signal) {
+                const onAbort = () => this.cancel(job);
+                signal.addEventListener('abort', onAbort, { once: true });
+                job.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    cancel(job) {
+        const queuedIndex = this.queue.indexOf(job);
+        if (queuedIndex !== -1) {
+            this.queue.splice(queuedIndex, 1);
+            job.cleanup();
+            job.reject(new Error('HEIC decode cancelled'));
+            return;
+        }
+
+        // libheif cannot be interrupted, so the busy worker is replaced
+        const slot = this.workers.find(candidate => candidate.job === job);
+        if (slot) {
+            console.log('HeicDecoderPool: Cancelling decode of', job.filePath);
+            this.replaceWorker(slot, new Error('HEIC decode cancelled'));
+        }
+    }
+
+    finishJob(slot) {
+        slot.job.cleanup();
+        slot.job = null;
+        this.dispatch();
+    }
+
+    dispatch() {
+        for (const slot of this.workers) {
+            if (this.queue.length === 0) {
+                return;
+            }
+            if (!slot.job) {
+                slot.job = this.queue.shift();
+                slot.worker.postMessage({ id: slot.job.id, filePath: slot.job.filePath });
+            }
+        }
+    }
+
+    destroy() {
+        this.destroyed = true;
+        for (const job of this.queue) {
+            job.cleanup();
+            job.reject(new Error('HEIC decoder pool has been shut down'));
+        }
+        this.queue = [];
+        for (const slot of this.workers) {
+            slot.worker.removeAllListeners();
+            slot.worker.terminate();
+        }
+        this.workers = [];
+    }
+}
+
+module.exports = { HeicDecoderPool };
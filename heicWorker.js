@@ -0,0 +1,58 @@
+// Decodes HEIC/HEIF files off the main process. Receives { id, filePath }
+// and replies with { id, width, height, imageData } or { id, error }.
+
+const { parentPort } = require('worker_threads');
+const fs = require('fs');
+const libheif = require('libheif-js');
+
+const DECODE_TIMEOUT = 30000;
+
+async function decode(filePath) {
+    const fileData = await fs.promises.readFile(filePath);
+    if (fileData.length === 0) {
+        throw new Error('HEIC file is empty');
+    }
+
+    const decoder = new libheif.HeifDecoder();
+    const data = decoder.decode(fileData);
+
+    if (!data || data.length === 0) {
+        throw new Error('No images found in HEIC file');
+    }
+
+    const image = data[0];
+    const width = image.get_width();
+    const height = image.get_height();
+
+    if (width <= 0 || height <= 0) {
+        throw new Error('Invalid image dimensions');
+    }
+
+    const imageData = new Uint8ClampedArray(width * height * 4);
+
+    await new Promise((resolve, reject) => {
+        const timeoutId = setTimeout(() => {
+            reject(new Error('HEIC conversion timeout'));
+        }, DECODE_TIMEOUT);
+
+        image.display({ data: imageData, width, height }, (displayData) => {
+            clearTimeout(timeoutId);
+            if (!displayData) {
+                return reject(new Error('HEIF processing error'));
+            }
+            resolve();
+        });
+    });
+
+    return { width, height, imageData };
+}
+
+parentPort.on('message', async ({ id, filePath }) => {
+    try {
+        const { width, height, imageData } = await decode(filePath);
+        // transfer the pixel buffer instead of copying it
+        parentPort.postMessage({ id, width, height, imageData }, [imageData.buffer]);
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,35 @@
+// The kiosk PIN is stored as a salted scrypt hash, so neither the config files
+// nor the settings window ever hold the PIN itself.
+
+const crypto = require('crypto');
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 32;
+const PIN_HASH_PATTERN = /^scrypt:[0-9a-f]{32}:[0-9a-f]{64}$/;
+
+/**
+ * Returns a hash of the PIN with a new random salt, as `scrypt:<salt>:<hash>`.
+ */
+function hashPin(pin) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const hash = crypto.scryptSync(pin, salt, KEY_LENGTH).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+function isPinHash(value) {
+    return typeof value === 'string' && PIN_HASH_PATTERN.test(value);
+}
+
+/**
+ * Whether `pin` is the PIN `pinHash` was made from.
+ */
+function verifyPin(pin, pinHash) {
+    if (typeof pin !== 'string' || !isPinHash(pinHash)) {
+        return false;
+    }
+    const [, salt, hash] = pinHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    return crypto.timingSafeEqual(crypto.scryptSync(pin, salt, expected.length), expected);
+}
+
+module.exports = { hashPin, isPinHash, verifyPin };
@@ -0,0 +1,119 @@
+// Grid layouts for the photo wall. A layout is a CSS grid of `columns` x `rows`
+// cells, and each slot occupies a rectangle of cells (1-based, like grid lines).
+
+const DEFAULT_LAYOUT = 'mosaic';
+
+const PRESET_LAYOUTS = {
+    // the original six-photo wall: two small and one wide photo per half
+    mosaic: {
+        columns: 4,
+        rows: 2,
+        slots: [
+            { column: 1, row: 1 },
+            { column: 2, row: 1 },
+            { column: 1, row: 2, columnSpan: 2 },
+            { column: 3, row: 1, columnSpan: 2 },
+            { column: 3, row: 2 },
+            { column: 4, row: 2 }
+        ]
+    },
+    single: {
+        columns: 1,
+        rows: 1,
+        slots: [{ column: 1, row: 1 }]
+    },
+    'hero-filmstrip': {
+        columns: 4,
+        rows: 4,
+        slots: [
+            { column: 1, row: 1, columnSpan: 4, rowSpan: 3 },
+            { column: 1, row: 4 },
+            { column: 2, row: 4 },
+            { column: 3, row: 4 },
+            { column: 4, row: 4 }
+        ]
+    },
+    masonry: {
+        columns: 3,
+        rows: 6,
+        slots: [
+            { column: 1, row: 1, rowSpan: 4 },
+            { column: 1, row: 5, rowSpan: 2 },
+            { column: 2, row: 1, rowSpan: 2 },
+            { column: 2, row: 3, rowSpan: 4 },
+            { column: 3, row: 1, rowSpan: 3 },
+            { column: 3, row: 4, rowSpan: 3 }
+        ]
+    }
+};
+
+function createGridLayout(columns, rows) {
+    const slots = [];
+    for (let row = 1; row <= rows; row++) {
+        for (let column = 1; column <= columns; column++) {
+            slots.push({ column, row });
+        }
+    }
+    return { columns, rows, slots };
+}
+
+function validateLayout(layout) {
+    if (!layout || !Number.isInteger(layout.columns) || !Number.isInteger(layout.rows) ||
+        layout.columns < 1 || layout.rows < 1) {
+        throw new Error('Layout must have positive integer columns and rows');
+    }
+    if (!Array.isArray(layout.slots) || layout.slots.length === 0) {
+        throw new Error('Layout must have at least one slot');
+    }
+
+    return {
+        columns: layout.columns,
+        rows: layout.rows,
+        slots: layout.slots.map((slot, index) => {
+            const normalized = {
+                column: slot.column,
+                row: slot.row,
+                columnSpan: slot.columnSpan || 1,
+                rowSpan: slot.rowSpan || 1,
+                transition: typeof slot.transition === 'string' ? slot.transition : undefined
+            };
+            if (!Number.isInteger(normalized.column) || !Number.isInteger(normalized.row) ||
+                normalized.column < 1 || normalized.row < 1 ||
+                normalized.column + normalized.columnSpan - 1 > layout.columns ||
+                normalized.row + normalized.rowSpan - 1 > layout.rows) {
+                throw new Error(`Slot ${index + 1} does not fit inside the ${layout.columns}x${layout.rows} grid`);
+            }
+            return normalized;
+        })
+    };
+}
+
+/**
+ * Resolves a layout name or inline definition into a validated layout.
+ * Names are looked up in `customLayouts` first, then the presets, then
+ * parsed as a `<columns>x<rows>` grid such as `3x3`.
+ */
+function resolveLayout(layout, customLayouts = {}) {
+    const name = layout || DEFAULT_LAYOUT;
+
+    if (typeof name === 'object') {
+        return validateLayout(name);
+    }
+
+    if (customLayouts[name]) {
+        return validateLayout(customLayouts[name]);
+    }
+
+    if (PRESET_LAYOUTS[name]) {
+        return validateLayout(PRESET_LAYOUTS[name]);
+    }
+
+    const gridMatch = /^(\d+)x(\d+)$/.exec(name);
+    if (gridMatch) {
+        return validateLayout(createGridLayout(parseInt(gridMatch[1]), parseInt(gridMatch[2])));
+    }
+
+    throw new Error(`Unknown layout: ${name}`);
+}
+
+module.exports = { DEFAULT_LAYOUT, PRESET_LAYOUTS, resolveLayout };
@@ -1,7 +1,22 @@
-const { app, BrowserWindow, dialog, ipcMain, powerSaveBlocker } = require('electron');
+const { app, BrowserWindow, Menu, dialog, ipcMain, nativeImage, powerSaveBlocker, screen } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const chokidar = require('chokidar');
+const { UploadServer, getUniquePath, readUploadInfo } = require('./uploadServer');
+const { RemoteControlServer } = require('./remoteControl');
+const { PhotoFlagStore, quickHash } = require('./photoFlags');
+const { getScheduledState } = require('./contentSchedule');
+const { createQrCodes } = require('./qrCodes');
+const { DEFAULT_LAYOUT, PRESET_LAYOUTS, resolveLayout } = require('./layouts');
+const { parseCommandLine } = require('./cliOptions');
+const { CONFIG_VERSION, TRANSITION_NAMES, migrateConfig, validateConfig, validateSettings } = require('./configSchema');
+const { hashPin, verifyPin } = require('./kioskPin');
+const { readImageMetadata } = require('./exif');
+const { DerivativeCache, createImageFromRgba } = require('./derivativeCache');
+const { HeicDecoderPool } = require('./heicDecoderPool');
+const { PlaylistScheduler } = require('./playlistScheduler');
+const { MEDIA_EXTENSIONS, createSource, getMediaFiles, isMediaFile, isVideoFile, shouldIgnorePath, sourcesIncludeFile } = require('./photoSources');
 
 const WINDOW_CONFIG = {
     width: 1200,
@@ -10,217 +25,1680 @@ const WINDOW_CONFIG = {
     minHeight: 600
 };
 
-const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.heic', '.heif'];
+const HEIC_EXTENSIONS = ['.heic', '.heif'];
+const THUMBNAIL_WIDTH = 240;
+const HEIC_JPEG_QUALITY = 85;
+// file events are batched so a burst of uploads becomes a few small IPC messages
+const PHOTO_EVENT_DEBOUNCE = 500;
+const PHOTO_EVENT_MAX_WAIT = 2000;
+// a file counts as fully written once its size has not changed for this long
+const WRITE_STABILITY_THRESHOLD = 2000;
+const WRITE_POLL_INTERVAL = 250;
+// in kiosk mode a renderer that crashed, or still hangs this long after
+// Electron reports it unresponsive, is restarted
+const RENDERER_HANG_TIMEOUT = 15000;
+const RENDERER_RESTART_DELAY = 2000;
+// how often the schedule is checked, interludes start and end to the second
+const SCHEDULE_CHECK_INTERVAL = 1000;
+// moderation state changes are written out together, not once per file
+const MODERATION_SAVE_DELAY = 1000;
+// the shared rotation changes with every photo shown, it is saved at most this often
+const PLAYLIST_SAVE_DELAY = 5000;
 
-let mainWindow;
+// one wall per configured display, each with its own window, layout and sources
+let walls = [];
+let moderationWindow;
+let settingsWindow;
 let folderWatcher;
 let currentPhotoFolder = '';
-let libheif = null;
+let heicDecoderPool = null;
 let isHeicSupported = false;
 let config = {};
+// problems found in the config files, shown once the first wall is up
+let configProblems = [];
+// whether a config file or the command line sets the interval, rather than the schema default
+let intervalConfigured = false;
 let powerSaveBlockerId = null;
+// walls that asked to keep the display awake, by webContents id
+const powerSaveRequests = new Set();
+let uploadServer = null;
+let remoteControlServer = null;
+let scheduleTimer = null;
+let derivativeCache = null;
+// set once the kiosk quit PIN was entered, or the app is stopped by a signal
+let quitAuthorized = false;
+// in-flight display image requests by window and photo path, so each wall can cancel its own
+const displayImageRequests = new Map();
+let pendingPhotos = new Set();
+// photos that were approved or shown before, and the folders that were opened,
+// so files copied in while the app was closed still go to moderation
+let knownPhotos = new Set();
+let knownFolders = new Set();
+let moderationSaveTimer = null;
+// one rotation for every wall, so show counts and cycles count across screens;
+// each wall picks from the photos it has loaded, see wall.playlistPaths
+const playlist = new PlaylistScheduler();
+let playlistSaveTimer = null;
+let photoChanges = { added: new Set(), removed: new Set(), changed: new Set() };
+let photoChangeTimer = null;
+let photoChangeBatchStart = 0;
+// the background search for moved and deleted flagged photos, and whether it has to run again
+let photoFlagsRelink = null;
+let photoFlagsRelinkAgain = false;
+// content hashes by path, kept until the file changes
+const contentHashes = new Map();
 
-const CONFIG_FILE = path.join(__dirname, 'config.json');
+// the packaged app has no app path argument before its own flags
+const commandLine = parseCommandLine(process.argv.slice(app.isPackaged ? 1 : 2));
+
+// the bundled config (or --config) holds defaults, changes from the settings window go to userData
+const CONFIG_FILE = commandLine.configFile || path.join(__dirname, 'config.json');
+const USER_CONFIG_FILE = path.join(app.getPath('userData'), 'config.json');
+const MODERATION_FILE = path.join(app.getPath('userData'), 'moderation.json');
+// hidden, pinned and favorite photos
+const photoFlags = new PhotoFlagStore(path.join(app.getPath('userData'), 'photo-flags.json'));
+const SLIDESHOW_STATE_FILE = path.join(app.getPath('userData'), 'slideshow-state.json');
+const PLAYLIST_STATE_FILE = path.join(app.getPath('userData'), 'playlist-state.json');
+
+function readConfigFile(filePath, problems = []) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.error('Failed to load config:', filePath, error);
+        problems.push(`${filePath} could not be read and is ignored: ${error.message}`);
+        return null;
+    }
+}
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeConfig(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+    }
+    return merged;
+}
+
+function loadConfigFile(filePath, problems) {
+    const rawConfig = readConfigFile(filePath, problems);
+    if (!rawConfig) {
+        return {};
+    }
+
+    const result = migrateConfig(rawConfig);
+    problems.push(...result.problems.map(problem => `${filePath}: ${problem}`));
+    // the bundled config may be read-only, it is migrated again on every start
+    if (result.migrated && filePath === USER_CONFIG_FILE) {
+        try {
+            fs.writeFileSync(filePath, JSON.stringify(result.config, null, 2));
+            console.log('Migrated config to version', CONFIG_VERSION, filePath);
+        } catch (error) {
+            console.error('Failed to save migrated config:', error);
+        }
+    }
+    return result.config;
+}
 
 function loadConfig() {
+    if (!fs.existsSync(CONFIG_FILE) && !fs.existsSync(USER_CONFIG_FILE)) {
+        console.log('No config file found, using defaults');
+    }
+
+    const problems = [...commandLine.problems];
+    if (commandLine.configFile && !fs.existsSync(commandLine.configFile)) {
+        problems.push(`Config file not found: ${commandLine.configFile}`);
+    }
+    if (commandLine.unknown.length > 0) {
+        console.warn('Ignoring unknown command-line options:', commandLine.unknown.join(' '));
+    }
+
+    // command-line flags and environment variables win over both files
+    const merged = mergeConfig(
+        mergeConfig(loadConfigFile(CONFIG_FILE, problems), loadConfigFile(USER_CONFIG_FILE, problems)),
+        commandLine.overrides
+    );
+    const result = validateConfig(merged);
+    config = result.config;
+    playlist.setOptions(config.scheduler);
+    intervalConfigured = merged.interval !== undefined;
+    // a PIN typed into a config file is only kept as a hash from here on,
+    // unless the settings window removed the PIN
+    if (config.kiosk?.pin) {
+        if (config.kiosk.pinHash !== null) {
+            config.kiosk.pinHash = config.kiosk.pinHash || hashPin(config.kiosk.pin);
+        }
+        delete config.kiosk.pin;
+    }
+    configProblems = [...problems, ...result.problems];
+
+    for (const problem of configProblems) {
+        console.error('Config:', problem);
+    }
+    console.log('Config loaded:', config);
+}
+
+function showConfigProblems() {
+    if (configProblems.length === 0) {
+        return;
+    }
+    dialog.showMessageBox(walls[0]?.window, {
+        type: 'warning',
+        title: 'tPhotowall - Configuration',
+        message: 'Some settings could not be used',
+        detail: configProblems.join('\n')
+    });
+}
+
+async function saveUserConfig(changes) {
+    const userConfig = mergeConfig(readConfigFile(USER_CONFIG_FILE) || { version: CONFIG_VERSION }, changes);
+    const tempFile = `${USER_CONFIG_FILE}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(userConfig, null, 2));
+    await fs.promises.rename(tempFile, USER_CONFIG_FILE);
+}
+
+function initializeHeicSupport() {
+    try {
+        // decoding happens in worker threads, here we only check the module is available
+        require.resolve('libheif-js');
+        heicDecoderPool = new HeicDecoderPool({ size: config?.heic?.workers });
+        isHeicSupported = true;
+        console.log('libheif-js loaded successfully');
+    } catch (error) {
+        console.error('Failed to load libheif-js:', error);
+        isHeicSupported = false;
+    }
+}
+
+function isKioskEnabled() {
+    return Boolean(config?.kiosk?.enabled);
+}
+
+function isPinSet() {
+    return Boolean(config?.kiosk?.pinHash);
+}
+
+function isPinCorrect(pin) {
+    return !isPinSet() || verifyPin(pin, config.kiosk.pinHash);
+}
+
+function isModerationEnabled() {
+    return Boolean(config?.moderation?.enabled);
+}
+
+function getQuarantineFolderName() {
+    return config?.moderation?.quarantineFolder || 'quarantine';
+}
+
+// rejected photos stay off the wall even after moderation is turned off
+function getIgnoredFolders() {
+    return [getQuarantineFolderName()];
+}
+
+// rejected photos go into the quarantine folder at the top of the outermost
+// source they belong to, the only place where it is skipped
+function getQuarantineFolder(filePath) {
+    const roots = walls.flatMap(wall => wall.sources)
+        .filter(source => sourcesIncludeFile([source], filePath))
+        .map(source => source.path)
+        .sort((a, b) => a.length - b.length);
+    return path.join(roots[0] || path.dirname(filePath), getQuarantineFolderName());
+}
+
+function getExistingSources(wall) {
+    return wall.configuredSources.filter(source => {
+        if (!fs.existsSync(source.path)) {
+            console.error('Source folder does not exist:', source.path);
+            return false;
+        }
+        return true;
+    });
+}
+
+// the folder of a running schedule block replaces the configured ones
+// the source folders of every wall and the folders of the schedule
+function getConfiguredFolders() {
+    const folders = walls.flatMap(wall => wall.configuredSources.map(source => source.path));
+    for (const block of config?.schedule || []) {
+        if (block.type === 'folder') {
+            folders.push(path.resolve(block.path));
+        }
+    }
+    return new Set(folders);
+}
+
+function getScheduledSources(wall) {
+    if (wall.scheduledFolder && fs.existsSync(wall.scheduledFolder)) {
+        return [createSource(wall.scheduledFolder)];
+    }
+    return getExistingSources(wall);
+}
+
+function getConfiguredSources(wallIndex = 0) {
+    if (Array.isArray(config?.sources) && config.sources.length > 0) {
+        return config.sources.map(createSource);
+    }
+    // without a configured folder, reopen the one picked before the last restart
+    const state = loadSlideshowState(wallIndex);
+    if (state?.folder) {
+        return [createSource(state.folder)];
+    }
+    return [];
+}
+
+/**
+ * Lists the walls to open, from `walls` or, when that is empty, a single
+ * wall set up by the top-level settings.
+ */
+function getWallConfigs() {
+    if (!Array.isArray(config?.walls) || config.walls.length === 0) {
+        return [{
+            index: 0,
+            display: config?.kiosk?.display,
+            layout: config?.layout,
+            configuredSources: getConfiguredSources(0)
+        }];
+    }
+
+    return config.walls.map((wall, index) => ({
+        index,
+        // walls without a display go on the displays in order
+        display: wall.display === undefined ? index : wall.display,
+        layout: wall.layout || config.layout,
+        configuredSources: wall.sources?.length > 0 ? wall.sources.map(createSource) : getConfiguredSources(index)
+    }));
+}
+
+function getSlideshowStateFile(wallIndex) {
+    // the first wall keeps the file from before there were several walls
+    return wallIndex === 0 ? SLIDESHOW_STATE_FILE : SLIDESHOW_STATE_FILE.replace(/\.json$/, `-${wallIndex + 1}.json`);
+}
+
+function loadSlideshowState(wallIndex = 0) {
+    const stateFile = getSlideshowStateFile(wallIndex);
+    try {
+        if (fs.existsSync(stateFile)) {
+            return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        }
+    } catch (error) {
+        console.error('Failed to load slideshow state:', error);
+    }
+    return null;
+}
+
+async function saveSlideshowState(wallIndex, state) {
+    // write and rename, so a power cut mid-write never leaves a truncated file
+    const stateFile = getSlideshowStateFile(wallIndex);
+    const tempFile = `${stateFile}.tmp`;
+    try {
+        await fs.promises.writeFile(tempFile, JSON.stringify(state));
+        await fs.promises.rename(tempFile, stateFile);
+    } catch (error) {
+        console.error('Failed to save slideshow state:', error);
+    }
+}
+
+function loadModerationState() {
+    try {
+        if (fs.existsSync(MODERATION_FILE)) {
+            const moderationData = JSON.parse(fs.readFileSync(MODERATION_FILE, 'utf8'));
+            pendingPhotos = new Set((moderationData.pending || []).filter(filePath => fs.existsSync(filePath)));
+            knownPhotos = new Set(moderationData.known || []);
+            knownFolders = new Set(moderationData.knownFolders || []);
+            console.log('Pending photos loaded:', pendingPhotos.size);
+        }
+    } catch (error) {
+        console.error('Failed to load pending photos:', error);
+    }
+}
+
+function saveModerationState() {
+    clearTimeout(moderationSaveTimer);
+    moderationSaveTimer = null;
+    try {
+        fs.writeFileSync(MODERATION_FILE, JSON.stringify({
+            pending: [...pendingPhotos],
+            known: [...knownPhotos],
+            knownFolders: [...knownFolders]
+        }, null, 2));
+    } catch (error) {
+        console.error('Failed to save pending photos:', error);
+    }
+}
+
+function scheduleModerationStateSave() {
+    if (!moderationSaveTimer) {
+        moderationSaveTimer = setTimeout(saveModerationState, MODERATION_SAVE_DELAY);
+    }
+}
+
+function loadPlaylistState() {
     try {
-        if (fs.existsSync(CONFIG_FILE)) {
-            const configData = fs.readFileSync(CONFIG_FILE, 'utf8');
-            config = JSON.parse(configData);
-            console.log('Config loaded:', config);
+        if (fs.existsSync(PLAYLIST_STATE_FILE)) {
+            playlist.restoreState(JSON.parse(fs.readFileSync(PLAYLIST_STATE_FILE, 'utf8')));
+        }
+    } catch (error) {
+        console.error('Failed to load playlist state:', error);
+    }
+}
+
+function savePlaylistState() {
+    clearTimeout(playlistSaveTimer);
+    playlistSaveTimer = null;
+    // write and rename, so a power cut mid-write never leaves a truncated file
+    const tempFile = `${PLAYLIST_STATE_FILE}.tmp`;
+    try {
+        fs.writeFileSync(tempFile, JSON.stringify(playlist.getState()));
+        fs.renameSync(tempFile, PLAYLIST_STATE_FILE);
+    } catch (error) {
+        console.error('Failed to save playlist state:', error);
+    }
+}
+
+function schedulePlaylistStateSave() {
+    if (!playlistSaveTimer) {
+        playlistSaveTimer = setTimeout(savePlaylistState, PLAYLIST_SAVE_DELAY);
+    }
+}
+
+loadConfig();
+initializeHeicSupport();
+loadModerationState();
+loadPlaylistState();
+photoFlags.load();
+
+function isWallAlive(wall) {
+    return Boolean(wall.window) && !wall.window.isDestroyed();
+}
+
+// the wall whose window sent an IPC request
+function getWall(event) {
+    return walls.find(wall => isWallAlive(wall) && wall.window.webContents === event.sender);
+}
+
+function getWallDisplay(wall) {
+    const displays = screen.getAllDisplays();
+    if (Number.isInteger(wall.display)) {
+        if (displays[wall.display]) {
+            return displays[wall.display];
+        }
+        console.error(`Walls: Display ${wall.display} not found, using the primary display`);
+    }
+    return screen.getPrimaryDisplay();
+}
+
+/**
+ * Opens a window for every configured wall whose display is connected and
+ * closes walls that are no longer configured. Walls that stay open are
+ * updated in place.
+ */
+function openWalls() {
+    let wallConfigs = getWallConfigs();
+    if (config.walls.length > 0) {
+        const displayCount = screen.getAllDisplays().length;
+        const connected = wallConfigs.filter(wallConfig => {
+            if (wallConfig.display < displayCount) {
+                return true;
+            }
+            console.error(`Walls: Display ${wallConfig.display} not found, wall ${wallConfig.index + 1} is not shown`);
+            return false;
+        });
+        // with none of the displays connected, show the first wall wherever possible
+        wallConfigs = connected.length > 0 ? connected : [{ ...wallConfigs[0], display: undefined }];
+    }
+
+    const previousWalls = walls;
+    walls = wallConfigs.map(wallConfig => {
+        const wall = previousWalls.find(existing => existing.index === wallConfig.index && isWallAlive(existing));
+        return wall ? Object.assign(wall, wallConfig) : createWall(wallConfig);
+    });
+
+    for (const wall of previousWalls) {
+        if (!walls.includes(wall) && isWallAlive(wall)) {
+            // destroy skips the kiosk close confirmation
+            wall.window.destroy();
+        }
+    }
+}
+
+// walls open and close as their displays are plugged in and out, and the
+// walls that stay are moved back onto their own display
+function handleDisplaysChanged() {
+    const previousWalls = new Set(walls);
+    openWalls();
+    for (const wall of walls) {
+        if (previousWalls.has(wall) && isWallAlive(wall)) {
+            if (config.walls.length > 0) {
+                const { workArea } = getWallDisplay(wall);
+                wall.window.setPosition(workArea.x, workArea.y);
+            }
+            applyWindowMode(wall);
+        }
+    }
+    remoteControlServer?.broadcast();
+}
+
+function createWall(wallConfig) {
+    const wall = {
+        ...wallConfig,
+        sources: [],
+        photosOnScreen: [],
+        // the photos of the shared rotation this wall has loaded and can show
+        playlistPaths: new Set(),
+        status: null,
+        hangTimer: null,
+        // what the schedule shows on this wall, see applySchedule
+        scheduledFolder: null,
+        scheduledScreen: null
+    };
+    const { workArea } = getWallDisplay(wall);
+
+    wall.window = new BrowserWindow({
+        // a window of its own on every display, the single wall opens where the OS puts it
+        ...(config.walls.length > 0 ? { x: workArea.x, y: workArea.y } : {}),
+        width: Math.min(WINDOW_CONFIG.width, workArea.width),
+        height: Math.min(WINDOW_CONFIG.height, workArea.height),
+        minWidth: WINDOW_CONFIG.minWidth,
+        minHeight: WINDOW_CONFIG.minHeight,
+        webPreferences: {
+            nodeIntegration: false,
+            contextIsolation: true,
+            preload: path.join(__dirname, 'preload.js')
+        },
+        icon: path.join(__dirname, 'assets', 'icon.png'),
+        show: false // Prevent visual flash
+    });
+
+    applyWindowMode(wall);
+    watchRenderer(wall);
+    wall.window.loadFile('index.html');
+
+    wall.window.once('ready-to-show', () => {
+        wall.window.show();
+    });
+
+    wall.window.on('close', (event) => {
+        if (isKioskEnabled() && !quitAuthorized) {
+            event.preventDefault();
+            requestQuit(wall);
+        }
+    });
+
+    // the window is gone by the time `closed` fires, so keep its id for the power save requests
+    const webContentsId = wall.window.webContents.id;
+    wall.window.on('closed', () => {
+        clearTimeout(wall.hangTimer);
+        wall.window = null;
+        walls = walls.filter(other => other !== wall);
+        releasePowerSaveBlocking(webContentsId);
+        derivativeCache?.releaseAll(webContentsId);
+        // its show counts are kept for when its display is plugged in again
+        removeFromPlaylist(wall, [...wall.playlistPaths], { keepState: true });
+        remoteControlServer?.broadcast();
+    });
+
+    return wall;
+}
+
+function applyWindowMode(wall) {
+    const window = wall.window;
+    if (isKioskEnabled()) {
+        // the window has to be on the chosen display before it goes fullscreen there
+        window.setKiosk(false);
+        window.setBounds(getWallDisplay(wall).bounds);
+        window.setKiosk(true);
+        // no menu means no reload or quit accelerators either
+        window.setMenu(null);
+    } else {
+        window.setKiosk(false);
+        window.setMenu(Menu.getApplicationMenu());
+        window.setFullScreen(Boolean(config?.kiosk?.fullscreen));
+    }
+}
+
+function watchRenderer(wall) {
+    const window = wall.window;
+    window.webContents.on('render-process-gone', (event, details) => {
+        console.error(`Renderer process of wall ${wall.index + 1} gone:`, details.reason);
+        clearTimeout(wall.hangTimer);
+        wall.hangTimer = null;
+        wall.photosOnScreen = [];
+        derivativeCache?.releaseAll(window.webContents.id);
+        if (isKioskEnabled() && details.reason !== 'clean-exit') {
+            setTimeout(() => {
+                if (!window.isDestroyed()) {
+                    console.log('Kiosk: Restarting renderer');
+                    window.reload();
+                }
+            }, RENDERER_RESTART_DELAY);
+        }
+    });
+
+    // a wall that starts (again) loads its photos into the rotation anew
+    window.webContents.on('did-start-navigation', (details) => {
+        if (details.isMainFrame && !details.isSameDocument) {
+            removeFromPlaylist(wall, [...wall.playlistPaths], { keepState: true });
+        }
+    });
+
+    window.webContents.on('did-finish-load', () => {
+        // a restarted renderer is told again what the schedule shows
+        wall.scheduledScreen = null;
+        applySchedule();
+    });
+
+    window.on('unresponsive', () => {
+        console.error(`Renderer of wall ${wall.index + 1} is not responding`);
+        if (!isKioskEnabled() || wall.hangTimer) {
+            return;
+        }
+        wall.hangTimer = setTimeout(() => {
+            wall.hangTimer = null;
+            console.error('Kiosk: Renderer still not responding, restarting it');
+            // reported as a crash, which reloads the page
+            window.webContents.forcefullyCrashRenderer();
+        }, RENDERER_HANG_TIMEOUT);
+    });
+
+    window.on('responsive', () => {
+        clearTimeout(wall.hangTimer);
+        wall.hangTimer = null;
+    });
+}
+
+function requestQuit(wall = walls.find(other => isWallAlive(other) && other.window.isFocused()) || walls[0]) {
+    if (wall && isWallAlive(wall)) {
+        wall.window.focus();
+        wall.window.webContents.send('quit-requested', { pinRequired: isPinSet() });
+    }
+}
+
+// photos no wall has loaded any more leave the rotation
+function removeFromPlaylist(wall, photoPaths, options) {
+    for (const photoPath of photoPaths) {
+        wall.playlistPaths.delete(photoPath);
+        if (!walls.some(other => other.playlistPaths.has(photoPath))) {
+            playlist.remove(photoPath, options);
+        }
+    }
+    schedulePlaylistStateSave();
+}
+
+function createModerationWindow() {
+    if (moderationWindow) {
+        moderationWindow.focus();
+        return;
+    }
+
+    moderationWindow = new BrowserWindow({
+        width: 900,
+        height: 700,
+        title: 'tPhotowall - Moderation',
+        webPreferences: {
+            nodeIntegration: false,
+            contextIsolation: true,
+            preload: path.join(__dirname, 'preload.js')
+        },
+        icon: path.join(__dirname, 'assets', 'icon.png')
+    });
+
+    moderationWindow.loadFile('moderation.html');
+
+    moderationWindow.on('closed', () => {
+        moderationWindow = null;
+    });
+}
+
+function createSettingsWindow() {
+    if (settingsWindow) {
+        settingsWindow.focus();
+        return;
+    }
+
+    settingsWindow = new BrowserWindow({
+        width: 640,
+        height: 760,
+        title: 'tPhotowall - Settings',
+        webPreferences: {
+            nodeIntegration: false,
+            contextIsolation: true,
+            preload: path.join(__dirname, 'preload.js')
+        },
+        icon: path.join(__dirname, 'assets', 'icon.png')
+    });
+
+    settingsWindow.loadFile('settings.html');
+
+    settingsWindow.on('closed', () => {
+        settingsWindow = null;
+    });
+}
+
+function getApprovedImageFiles(wall) {
+    const files = getMediaFiles(wall.sources, getIgnoredFolders());
+    relinkPhotoFlags();
+    queueUnknownPhotos(wall, files);
+    return files.filter(file => !pendingPhotos.has(file) && !photoFlags.isHidden(file));
+}
+
+/**
+ * Moves the flags of photos that were moved to their new path and drops the
+ * flags of deleted ones. Runs in the background, the walls get the new flags
+ * once it is done.
+ */
+function relinkPhotoFlags() {
+    if (photoFlagsRelink) {
+        photoFlagsRelinkAgain = true;
+        return;
+    }
+    photoFlagsRelink = (async () => {
+        if ((await photoFlags.findMissing()).length === 0) {
+            return false;
+        }
+        const files = getMediaFiles(walls.flatMap(wall => wall.sources), getIgnoredFolders());
+        // an unreachable folder lists no files, its photos are not gone
+        return photoFlags.relink(files, { complete: files.length > 0 });
+    })()
+        .then(onPhotoFlagsRelinked)
+        .catch(error => console.error('Failed to relink photo flags:', error))
+        .finally(() => {
+            photoFlagsRelink = null;
+            if (photoFlagsRelinkAgain) {
+                photoFlagsRelinkAgain = false;
+                relinkPhotoFlags();
+            }
+        });
+}
+
+function onPhotoFlagsRelinked(changed) {
+    if (changed) {
+        sendPhotoFlags().catch(error => console.error('Failed to send photo flags:', error));
+        remoteControlServer?.broadcast();
+    }
+}
+
+// the files in a folder the first time it is opened count as approved, any other
+// file not seen before goes to moderation, even if it arrived while the app was closed
+function queueUnknownPhotos(wall, files) {
+    // photos deleted while the app was closed are forgotten, so the list only grows with the folders
+    const fileSet = new Set(files);
+    const ignoredFolders = getIgnoredFolders();
+    let pruned = 0;
+    for (const file of knownPhotos) {
+        if (!fileSet.has(file) && sourcesIncludeFile(wall.sources, file, ignoredFolders)) {
+            knownPhotos.delete(file);
+            pruned++;
+        }
+    }
+
+    const newSources = wall.sources.filter(source => !knownFolders.has(source.path));
+    const unknown = files.filter(file => !knownPhotos.has(file) && !pendingPhotos.has(file));
+    if (unknown.length === 0 && newSources.length === 0) {
+        if (pruned > 0) {
+            scheduleModerationStateSave();
+        }
+        return;
+    }
+
+    let queued = 0;
+    for (const file of unknown) {
+        if (isModerationEnabled() && !sourcesIncludeFile(newSources, file, ignoredFolders)) {
+            pendingPhotos.add(file);
+            queued++;
         } else {
-            console.log('No config file found, using defaults');
+            knownPhotos.add(file);
+        }
+    }
+    for (const source of newSources) {
+        knownFolders.add(source.path);
+    }
+    scheduleModerationStateSave();
+
+    if (queued > 0) {
+        console.log('Photos added while the app was closed, awaiting approval:', queued);
+        sendPendingPhotosUpdated();
+    }
+}
+
+function flushPhotoChanges() {
+    clearTimeout(photoChangeTimer);
+    photoChangeTimer = null;
+
+    const { added, removed, changed } = photoChanges;
+    photoChanges = { added: new Set(), removed: new Set(), changed: new Set() };
+
+    const ignoredFolders = getIgnoredFolders();
+    for (const wall of walls) {
+        if (!isWallAlive(wall)) {
+            continue;
+        }
+        // each wall only hears about the photos in its own folders
+        const inWall = (files) => [...files].filter(filePath => sourcesIncludeFile(wall.sources, filePath, ignoredFolders));
+        const wallRemoved = inWall(removed);
+        const wallAdded = inWall(added);
+        const wallChanged = inWall(changed);
+        if (wallRemoved.length > 0) {
+            wall.window.webContents.send('photos-removed', wallRemoved);
+        }
+        if (wallAdded.length > 0) {
+            wall.window.webContents.send('photos-added', wallAdded.sort());
+        }
+        if (wallChanged.length > 0) {
+            wall.window.webContents.send('photos-changed', wallChanged);
+        }
+    }
+    console.log(`Photo changes sent: ${added.size} added, ${removed.size} removed, ${changed.size} changed`);
+}
+
+function queuePhotoChange(type, filePath) {
+    // a moved hidden photo is hidden again once its flags have followed it
+    if (type === 'added') {
+        photoFlags.relink([filePath])
+            .then(onPhotoFlagsRelinked)
+            .catch(error => console.error('Failed to relink photo flags:', error));
+    }
+    if (type !== 'removed' && photoFlags.isHidden(filePath)) {
+        return;
+    }
+    const { added, removed, changed } = photoChanges;
+
+    // collapse events for the same file within one batch
+    switch (type) {
+        case 'added':
+            if (removed.delete(filePath)) {
+                changed.add(filePath);
+            } else {
+                added.add(filePath);
+            }
+            break;
+        case 'removed':
+            contentHashes.delete(filePath);
+            changed.delete(filePath);
+            if (!added.delete(filePath)) {
+                removed.add(filePath);
+            }
+            break;
+        case 'changed':
+            if (!added.has(filePath)) {
+                changed.add(filePath);
+            }
+            break;
+    }
+
+    if (!photoChangeTimer) {
+        photoChangeBatchStart = Date.now();
+    } else {
+        clearTimeout(photoChangeTimer);
+    }
+
+    const delay = Math.min(PHOTO_EVENT_DEBOUNCE, Math.max(0, photoChangeBatchStart + PHOTO_EVENT_MAX_WAIT - Date.now()));
+    photoChangeTimer = setTimeout(flushPhotoChanges, delay);
+}
+
+function sendPendingPhotosUpdated() {
+    if (moderationWindow) {
+        moderationWindow.webContents.send('pending-photos-updated');
+    }
+}
+
+function setWallSources(wall, sources) {
+    wall.sources = sources;
+    watchSources();
+}
+
+function watchSources() {
+    if (folderWatcher) {
+        folderWatcher.close();
+    }
+
+    // changes already queued go to the walls that still show those folders,
+    // a wall whose folders changed gets the new full photo list instead
+    flushPhotoChanges();
+
+    // one watcher covers the folders of every wall
+    const sources = walls.flatMap(wall => wall.sources);
+    // uploads go into the first source folder of the first wall
+    currentPhotoFolder = sources.length > 0 ? sources[0].path : '';
+    if (sources.length === 0) {
+        folderWatcher = null;
+        return;
+    }
+
+    const ignoredFolders = getIgnoredFolders();
+
+    // dotfiles, rejected photos and anything outside the sources' patterns are ignored;
+    // files already in the folders are part of the initial list, so only later changes are reported
+    folderWatcher = chokidar.watch([...new Set(sources.map(source => source.path))], {
+        ignored: (filePath, stats) => shouldIgnorePath(sources, filePath, stats, ignoredFolders),
+        ignoreInitial: true,
+        persistent: true,
+        awaitWriteFinish: {
+            stabilityThreshold: config?.watcher?.stabilityThresholdMs || WRITE_STABILITY_THRESHOLD,
+            pollInterval: WRITE_POLL_INTERVAL
         }
+    });
+
+    folderWatcher
+        .on('add', (filePath) => {
+            if (!isMediaFile(filePath)) {
+                return;
+            }
+            if (isModerationEnabled()) {
+                pendingPhotos.add(filePath);
+                scheduleModerationStateSave();
+                sendPendingPhotosUpdated();
+                console.log('Photo awaiting approval:', filePath);
+                return;
+            }
+            knownPhotos.add(filePath);
+            scheduleModerationStateSave();
+            queuePhotoChange('added', filePath);
+        })
+        .on('change', (filePath) => {
+            if (isMediaFile(filePath) && !pendingPhotos.has(filePath)) {
+                queuePhotoChange('changed', filePath);
+            }
+        })
+        .on('unlink', (filePath) => {
+            knownPhotos.delete(filePath);
+            scheduleModerationStateSave();
+            if (pendingPhotos.delete(filePath)) {
+                sendPendingPhotosUpdated();
+                return;
+            }
+            queuePhotoChange('removed', filePath);
+        });
+}
+
+ipcMain.handle('select-folder', async (event) => {
+    const wall = getWall(event);
+    const result = await dialog.showOpenDialog(wall?.window, {
+        properties: ['openDirectory'],
+        title: 'Select Photo Folder'
+    });
+
+    if (wall && !result.canceled && result.filePaths.length > 0) {
+        setWallSources(wall, [createSource(result.filePaths[0])]);
+        const photos = getApprovedImageFiles(wall);
+        
+        return {
+            folder: wall.sources[0].path,
+            photos: photos
+        };
+    }
+    
+    return null;
+});
+
+ipcMain.handle('get-photos', async (event) => {
+    const wall = getWall(event);
+    return wall ? getApprovedImageFiles(wall) : [];
+});
+
+async function decodeHeic(filePath, signal) {
+    if (!isHeicSupported || !heicDecoderPool || heicDecoderPool.destroyed) {
+        throw new Error('HEIC support is not available');
+    }
+    return heicDecoderPool.decode(filePath, signal);
+}
+
+ipcMain.handle('convert-heic', async (event, filePath) => {
+    try {
+        const { width, height, imageData } = await decodeHeic(filePath);
+        const jpeg = createImageFromRgba(imageData, width, height).toJPEG(HEIC_JPEG_QUALITY);
+        
+        // Use Buffer for efficient IPC transfer
+        return { width, height, data: jpeg };
     } catch (error) {
-        console.error('Failed to load config:', error);
+        console.error('Error converting HEIC in main process:', error);
+        throw new Error(`HEIC conversion failed: ${error.message}`);
+    }
+});
+
+function initializeDerivativeCache() {
+    derivativeCache = new DerivativeCache({
+        directory: path.join(app.getPath('userData'), 'cache', 'derivatives'),
+        maxDimension: config?.cache?.maxDimension,
+        maxBytes: config?.cache?.maxSizeMB ? config.cache.maxSizeMB * 1024 * 1024 : undefined,
+        decodeHeic,
+        readMetadata: readImageMetadata
+    });
+    derivativeCache.evict().catch(error => console.error('Failed to trim derivative cache:', error));
+}
+
+function getDisplayImageRequestKey(event, filePath) {
+    return `${event.sender.id}:${filePath}`;
+}
+
+ipcMain.handle('get-display-image', async (event, filePath) => {
+    const requestKey = getDisplayImageRequestKey(event, filePath);
+    const controller = new AbortController();
+    displayImageRequests.set(requestKey, controller);
+    try {
+        return await derivativeCache.getDisplayImage(filePath, controller.signal, event.sender.id);
+    } catch (error) {
+        console.error('Error creating display image:', filePath, error);
+        throw new Error(`Display image failed: ${error.message}`);
+    } finally {
+        if (displayImageRequests.get(requestKey) === controller) {
+            displayImageRequests.delete(requestKey);
+        }
+    }
+});
+
+ipcMain.handle('cancel-display-images', async (event, filePaths) => {
+    for (const filePath of filePaths) {
+        displayImageRequests.get(getDisplayImageRequestKey(event, filePath))?.abort();
+    }
+});
+
+ipcMain.handle('release-display-images', async (event, filePaths) => {
+    derivativeCache.release(filePaths, event.sender.id);
+});
+
+async function getContentHash(filePath) {
+    const { size, mtimeMs } = await fs.promises.stat(filePath);
+    const cached = contentHashes.get(filePath);
+    if (cached && cached.size === size && cached.mtimeMs === mtimeMs) {
+        return cached.hash;
     }
+
+    // videos are too large to read whole, their size and first bytes tell them apart
+    const hash = isVideoFile(filePath) ? await quickHash(filePath) : await new Promise((resolve, reject) => {
+        const sha1 = crypto.createHash('sha1');
+        fs.createReadStream(filePath)
+            .on('data', chunk => sha1.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(sha1.digest('hex')));
+    });
+    contentHashes.set(filePath, { size, mtimeMs, hash });
+    return hash;
 }
 
-function initializeHeicSupport() {
+ipcMain.handle('get-image-metadata', async (event, filePath) => {
+    const metadata = await readImageMetadata(filePath);
+
+    // guests often upload the same photo twice, the wall shows only one copy
     try {
-        libheif = require('libheif-js');
-        isHeicSupported = true;
-        console.log('libheif-js loaded successfully');
+        metadata.contentHash = await getContentHash(filePath);
     } catch (error) {
-        console.error('Failed to load libheif-js:', error);
-        isHeicSupported = false;
+        console.warn('Could not hash photo:', filePath, error.message);
     }
-}
 
-loadConfig();
-initializeHeicSupport();
+    // libheif already applies HEIF rotation when decoding
+    if (HEIC_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        metadata.orientation = 1;
+    }
 
-function createWindow() {
-    mainWindow = new BrowserWindow({
-        width: WINDOW_CONFIG.width,
-        height: WINDOW_CONFIG.height,
-        minWidth: WINDOW_CONFIG.minWidth,
-        minHeight: WINDOW_CONFIG.minHeight,
-        webPreferences: {
-            nodeIntegration: false,
-            contextIsolation: true,
-            preload: path.join(__dirname, 'preload.js')
-        },
-        icon: path.join(__dirname, 'assets', 'icon.png'),
-        show: false // Prevent visual flash
-    });
+    // what a guest typed on the upload page wins over camera metadata
+    const uploadInfo = readUploadInfo(filePath);
+    metadata.author = uploadInfo.uploader || metadata.author;
+    metadata.title = uploadInfo.caption || metadata.title;
+    metadata.uploader = uploadInfo.uploader;
+    return metadata;
+});
 
-    mainWindow.loadFile('index.html');
+ipcMain.handle('get-display-options', async () => {
+    return {
+        video: {
+            maxDuration: config?.video?.maxDurationSeconds || 30
+        },
+        captions: {
+            enabled: Boolean(config?.captions?.enabled),
+            fields: config?.captions?.fields || ['title', 'author', 'takenAt']
+        },
+        interval: config?.interval,
+        // a wall only goes back to its saved interval when none is set
+        intervalConfigured,
+        // a kiosk plays on its own, with nobody there to move a mouse
+        autoplay: Boolean(config?.autoplay) || isKioskEnabled(),
+        kiosk: {
+            enabled: isKioskEnabled(),
+            pinRequired: isKioskEnabled() && isPinSet(),
+            hideCursor: Boolean(config?.kiosk?.hideCursor) || isKioskEnabled()
+        },
+        transition: {
+            name: config?.transition || 'crossfade',
+            duration: config?.transitionDuration || 600
+        },
+        widgets: getWidgetOptions()
+    };
+});
 
-    mainWindow.once('ready-to-show', () => {
-        mainWindow.show();
-    });
+function getWidgetOptions() {
+    const widgets = structuredClone(config?.widgets || {});
+    const logo = widgets.title?.logo;
+    if (logo) {
+        widgets.title.logo = fs.existsSync(logo) ? `file:///${logo.replace(/\\/g, '/')}` : '';
+    }
+    return widgets;
 }
 
-function getImageFiles(directory) {
-    try {
-        if (!fs.existsSync(directory)) {
-            return [];
-        }
-
-        const files = fs.readdirSync(directory);
-        return files
-            .filter(file => {
-                const ext = path.extname(file).toLowerCase();
-                return IMAGE_EXTENSIONS.includes(ext);
-            })
-            .map(file => path.join(directory, file))
-            .sort();
-    } catch (error) {
-        console.error('Error reading directory:', error);
-        return [];
+ipcMain.handle('is-heic-supported', async () => {
+    return isHeicSupported;
+});
+
+ipcMain.handle('get-startup-folder', async (event) => {
+    const wall = getWall(event);
+    const sources = wall ? getScheduledSources(wall) : [];
+
+    if (sources.length > 0) {
+        setWallSources(wall, sources);
+        return sources[0].path;
+    }
+    return undefined;
+});
+
+ipcMain.handle('get-slideshow-state', async (event) => {
+    return loadSlideshowState(getWall(event)?.index);
+});
+
+ipcMain.handle('save-slideshow-state', async (event, state) => {
+    const wall = getWall(event);
+    if (wall) {
+        await saveSlideshowState(wall.index, state);
+    }
+});
+
+// copies of a hidden photo are hidden with it, the walls know them by their content hash
+async function getHiddenContentHashes() {
+    const hashes = [];
+    for (const filePath of photoFlags.list('hidden')) {
+        try {
+            hashes.push(await getContentHash(filePath));
+        } catch (error) {
+            // the hidden file is gone, its copies are shown again
+        }
     }
+    return hashes;
 }
 
-function watchFolder(folderPath) {
-    if (folderWatcher) {
-        folderWatcher.close();
+async function getPhotoFlags(wall) {
+    return {
+        hidden: photoFlags.list('hidden'),
+        hiddenHashes: await getHiddenContentHashes(),
+        favorites: photoFlags.list('favorite'),
+        pinned: photoFlags.listPinned(wall.index)
+    };
+}
+
+// the shared rotation skips copies of hidden photos and shows favorites more often
+async function updatePlaylistFlags() {
+    playlist.setFavorites(photoFlags.list('favorite'));
+    playlist.setHiddenHashes(await getHiddenContentHashes());
+}
+
+async function sendPhotoFlags() {
+    await updatePlaylistFlags();
+    for (const wall of walls) {
+        const flags = await getPhotoFlags(wall);
+        if (isWallAlive(wall)) {
+            wall.window.webContents.send('photo-flags-changed', flags);
+        }
     }
+}
 
-    folderWatcher = chokidar.watch(folderPath, {
-        ignored: /(^|[\/\\])\../, // Ignore dotfiles
-        persistent: true
-    });
+/**
+ * Changes the flags of a photo and brings every wall up to date.
+ */
+function updatePhotoFlags(photoPath, changes) {
+    const wasHidden = photoFlags.isHidden(photoPath);
+    // a hidden photo cannot stay pinned
+    photoFlags.set(photoPath, changes.hidden ? { ...changes, pinnedWall: null } : changes);
 
-    folderWatcher
-        .on('add', () => {
-            const photos = getImageFiles(folderPath);
-            mainWindow.webContents.send('photos-updated', photos);
-        })
-        .on('unlink', () => {
-            const photos = getImageFiles(folderPath);
-            mainWindow.webContents.send('photos-updated', photos);
-        });
+    // a photo shown again joins the rotation like a new one
+    if (wasHidden && !photoFlags.isHidden(photoPath) && fs.existsSync(photoPath)) {
+        queuePhotoChange('added', photoPath);
+    }
+    sendPhotoFlags().catch(error => console.error('Failed to send photo flags:', error));
+    remoteControlServer?.broadcast();
 }
 
-ipcMain.handle('select-folder', async () => {
-    const result = await dialog.showOpenDialog(mainWindow, {
-        properties: ['openDirectory'],
-        title: 'Select Photo Folder'
-    });
+ipcMain.handle('get-photo-flags', async (event) => {
+    const wall = getWall(event);
+    return wall ? getPhotoFlags(wall) : { hidden: [], hiddenHashes: [], favorites: [], pinned: [] };
+});
 
-    if (!result.canceled && result.filePaths.length > 0) {
-        currentPhotoFolder = result.filePaths[0];
-        const photos = getImageFiles(currentPhotoFolder);
-        
-        watchFolder(currentPhotoFolder);
-        
-        return {
-            folder: currentPhotoFolder,
-            photos: photos
-        };
+ipcMain.handle('set-photo-flags', async (event, photoPath, { hidden, favorite, pinned }) => {
+    const changes = {};
+    if (hidden !== undefined) {
+        changes.hidden = Boolean(hidden);
     }
-    
-    return null;
+    if (favorite !== undefined) {
+        changes.favorite = Boolean(favorite);
+    }
+    if (pinned !== undefined) {
+        // pinned on the wall it was picked on
+        const wall = getWall(event);
+        changes.pinnedWall = pinned && wall ? wall.index : null;
+    }
+    updatePhotoFlags(photoPath, changes);
 });
 
-ipcMain.handle('get-photos', async (event, folderPath) => {
-    return getImageFiles(folderPath);
+ipcMain.handle('set-wall-status', async (event, status) => {
+    const wall = getWall(event);
+    if (wall) {
+        wall.status = status;
+        remoteControlServer?.broadcast();
+    }
 });
 
-ipcMain.handle('convert-heic', async (event, uint8Array) => {
-    if (!isHeicSupported || !libheif) {
-        throw new Error('HEIC support is not available');
+ipcMain.handle('set-photos-on-screen', async (event, photoPaths) => {
+    const wall = getWall(event);
+    if (wall) {
+        wall.photosOnScreen = photoPaths;
     }
-    
+});
+
+ipcMain.handle('add-to-playlist', async (event, photos) => {
+    const wall = getWall(event);
+    if (!wall) {
+        return;
+    }
+    for (const { path: photoPath, uploader, initial, contentHash, perceptualHash } of photos) {
+        wall.playlistPaths.add(photoPath);
+        playlist.add(photoPath, { uploader, initial, contentHash, perceptualHash });
+    }
+});
+
+ipcMain.handle('remove-from-playlist', async (event, photoPaths) => {
+    const wall = getWall(event);
+    if (wall) {
+        removeFromPlaylist(wall, photoPaths);
+    }
+});
+
+ipcMain.handle('clear-playlist', async (event) => {
+    const wall = getWall(event);
+    if (wall) {
+        removeFromPlaylist(wall, [...wall.playlistPaths]);
+    }
+});
+
+/**
+ * Picks the next photo for the wall from the shared rotation. Photos on any
+ * screen and the wall's pinned photos are skipped while there are others,
+ * so no photo is on two screens at once.
+ */
+ipcMain.handle('get-next-photo', async (event, pinnedPaths, repeatWindow) => {
+    const wall = getWall(event);
+    if (!wall) {
+        return null;
+    }
+    const excluded = new Set([...walls.flatMap(other => other.photosOnScreen), ...pinnedPaths]);
+    const photoPath = playlist.next(repeatWindow, excluded, wall.playlistPaths);
+    if (photoPath) {
+        // counted as on screen until the wall reports what it shows, so another wall does not pick it meanwhile
+        wall.photosOnScreen = [...wall.photosOnScreen, photoPath];
+        schedulePlaylistStateSave();
+    }
+    return photoPath;
+});
+
+ipcMain.handle('mark-photo-shown', async (event, photoPath, repeatWindow) => {
+    playlist.markShown(photoPath, repeatWindow);
+    schedulePlaylistStateSave();
+});
+
+async function createThumbnail(filePath) {
+    const fileUrl = `file:///${filePath.replace(/\\/g, '/')}`;
+    // the moderation window plays videos itself
+    if (isVideoFile(filePath)) {
+        return fileUrl;
+    }
+
     try {
-        const decoder = new libheif.HeifDecoder();
-        const data = decoder.decode(uint8Array);
-        
-        if (!data || data.length === 0) {
-            throw new Error('No images found in HEIC file');
+        let image;
+        if (HEIC_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+            const { width, height, imageData } = await decodeHeic(filePath);
+            image = createImageFromRgba(imageData, width, height);
+        } else {
+            image = nativeImage.createFromPath(filePath);
         }
-        
-        const image = data[0];
-        const width = image.get_width();
-        const height = image.get_height();
-        
-        if (width <= 0 || height <= 0) {
-            throw new Error('Invalid image dimensions');
+
+        if (image.isEmpty()) {
+            return fileUrl;
         }
-        
-        const imageData = new Uint8ClampedArray(width * height * 4);
-        
-        // Use promise to handle async callback and add timeout for safety
-        await new Promise((resolve, reject) => {
-            const timeoutId = setTimeout(() => {
-                reject(new Error('HEIC conversion timeout'));
-            }, 30000);
-            
-            image.display({ data: imageData, width, height }, (displayData) => {
-                clearTimeout(timeoutId);
-                if (!displayData) {
-                    return reject(new Error('HEIF processing error'));
-                }
-                resolve();
-            });
+        return image.resize({ width: THUMBNAIL_WIDTH }).toDataURL();
+    } catch (error) {
+        console.error('Failed to create thumbnail:', filePath, error);
+        return fileUrl;
+    }
+}
+
+ipcMain.handle('get-pending-photos', async () => {
+    const pending = [];
+    for (const filePath of pendingPhotos) {
+        pending.push({
+            path: filePath,
+            name: path.basename(filePath),
+            isVideo: isVideoFile(filePath),
+            thumbnail: await createThumbnail(filePath)
         });
-        
-        // Use Buffer for efficient IPC transfer
-        return {
-            width,
-            height,
-            imageData: Buffer.from(imageData.buffer)
-        };
+    }
+    return pending;
+});
+
+ipcMain.handle('approve-photo', async (event, filePath) => {
+    if (!pendingPhotos.delete(filePath)) {
+        return { success: false, message: 'Photo is not awaiting approval' };
+    }
+
+    knownPhotos.add(filePath);
+    scheduleModerationStateSave();
+    sendPendingPhotosUpdated();
+    queuePhotoChange('added', filePath);
+    console.log('Photo approved:', filePath);
+    return { success: true, message: 'Photo approved' };
+});
+
+ipcMain.handle('reject-photo', async (event, filePath) => {
+    if (!pendingPhotos.has(filePath)) {
+        return { success: false, message: 'Photo is not awaiting approval' };
+    }
+
+    try {
+        const quarantineFolder = getQuarantineFolder(filePath);
+        fs.mkdirSync(quarantineFolder, { recursive: true });
+        // a photo rejected earlier under the same name is kept
+        fs.renameSync(filePath, getUniquePath(quarantineFolder, path.basename(filePath)));
     } catch (error) {
-        console.error('Error converting HEIC in main process:', error);
-        throw new Error(`HEIC conversion failed: ${error.message}`);
+        console.error('Failed to quarantine photo:', filePath, error);
+        return { success: false, message: `Failed to quarantine photo: ${error.message}` };
     }
+
+    pendingPhotos.delete(filePath);
+    scheduleModerationStateSave();
+    sendPendingPhotosUpdated();
+    console.log('Photo rejected:', filePath);
+    return { success: true, message: 'Photo moved to quarantine' };
 });
 
-ipcMain.handle('is-heic-supported', async () => {
-    return isHeicSupported;
+ipcMain.handle('open-moderation-window', async () => {
+    createModerationWindow();
 });
 
-ipcMain.handle('get-startup-folder', async () => {
-    if (config && config.startupFolder && fs.existsSync(config.startupFolder)) {
-        watchFolder(config.startupFolder);
-        return config.startupFolder;
+/**
+ * Re-reads the config after the settings changed and applies it to the
+ * running app: the walls and their folders, fullscreen, and everything the
+ * renderer reloads when it receives `settings-changed`.
+ */
+function reloadConfig() {
+    const previousSources = new Map(walls.map(wall => [wall, JSON.stringify(wall.configuredSources)]));
+    loadConfig();
+    openWalls();
+
+    for (const wall of walls) {
+        // new walls load their photos on their own
+        if (!previousSources.has(wall)) {
+            continue;
+        }
+        const sourcesChanged = JSON.stringify(wall.configuredSources) !== previousSources.get(wall);
+        if (sourcesChanged) {
+            setWallSources(wall, getScheduledSources(wall));
+        }
+        applyWindowMode(wall);
+        wall.window.webContents.send('settings-changed', { folder: wall.sources[0]?.path || '', sourcesChanged });
     }
-    return undefined;
+    startSchedule();
+}
+
+ipcMain.handle('open-settings-window', async (event, pin) => {
+    // otherwise anyone at a kiosk could turn kiosk mode off
+    if (isKioskEnabled() && !isPinCorrect(pin)) {
+        console.warn('Kiosk: Wrong settings PIN entered');
+        return { success: false, message: 'Wrong PIN' };
+    }
+    createSettingsWindow();
+    return { success: true, message: 'Settings opened' };
+});
+
+ipcMain.handle('get-settings', async () => {
+    return {
+        settings: {
+            sources: config.sources,
+            intervalSeconds: (config?.interval || 5000) / 1000,
+            layout: config?.layout || DEFAULT_LAYOUT,
+            qrCode: config?.qrCode || '',
+            transition: config?.transition || 'crossfade',
+            transitionDuration: config?.transitionDuration || 600,
+            kiosk: {
+                enabled: isKioskEnabled(),
+                display: config?.kiosk?.display,
+                // only whether there is a PIN, the settings window never sees it
+                pinSet: isPinSet(),
+                fullscreen: Boolean(config?.kiosk?.fullscreen),
+                hideCursor: Boolean(config?.kiosk?.hideCursor)
+            }
+        },
+        displays: screen.getAllDisplays().map((display, index) => ({
+            index,
+            label: `${index + 1}: ${display.size.width}x${display.size.height}${display.id === screen.getPrimaryDisplay().id ? ' (primary)' : ''}`
+        })),
+        layouts: [...Object.keys(PRESET_LAYOUTS), ...Object.keys(config?.layouts || {})],
+        transitions: TRANSITION_NAMES
+    };
+});
+
+ipcMain.handle('save-settings', async (event, submitted) => {
+    const result = validateSettings(submitted, config?.layouts);
+    if (result.errors) {
+        return { success: false, message: 'Please correct the highlighted settings', errors: result.errors };
+    }
+
+    try {
+        await saveUserConfig(result.settings);
+    } catch (error) {
+        console.error('Failed to save settings:', error);
+        return { success: false, message: 'Could not write the settings file' };
+    }
+
+    reloadConfig();
+    return { success: true, message: 'Settings saved' };
+});
+
+ipcMain.handle('choose-folder', async (event) => {
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        properties: ['openDirectory'],
+        title: 'Add Photo Folder'
+    });
+    return result.canceled ? null : result.filePaths[0];
+});
+
+ipcMain.handle('choose-image-file', async (event) => {
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+        properties: ['openFile'],
+        title: 'Select QR Code Image',
+        filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'gif', 'bmp', 'webp'] }]
+    });
+    return result.canceled ? null : result.filePaths[0];
 });
 
-ipcMain.handle('start-power-save-blocking', async () => {
+ipcMain.handle('start-power-save-blocking', async (event) => {
+    if (getWall(event)?.scheduledScreen?.blank) {
+        return { success: false, message: 'The screen is blanked by the schedule' };
+    }
+    powerSaveRequests.add(event.sender.id);
     startPowerSaveBlocking();
     return { success: true, message: 'Power save blocking started' };
 });
 
-ipcMain.handle('stop-power-save-blocking', async () => {
-    stopPowerSaveBlocking();
+ipcMain.handle('stop-power-save-blocking', async (event) => {
+    releasePowerSaveBlocking(event.sender.id);
     return { success: true, message: 'Power save blocking stopped' };
 });
 
-ipcMain.handle('get-qr-code-path', async () => {
-    if (config?.qrCode) {
-        if (fs.existsSync(config.qrCode)) {
-            return config.qrCode;
-        } else {
-            console.error('QR code file does not exist:', config.qrCode);
-        }
+ipcMain.handle('get-layout', async (event) => {
+    try {
+        return resolveLayout(getWall(event)?.layout || config?.layout, config?.layouts);
+    } catch (error) {
+        console.error('Invalid layout in config, falling back to default:', error);
+        return resolveLayout(DEFAULT_LAYOUT);
     }
-    return undefined;
 });
 
+ipcMain.handle('get-qr-code', async () => {
+    const options = config.qrCodes;
+    let targets = options.targets;
+    if (targets.length === 0) {
+        // a running upload server takes precedence over a static QR image
+        targets = uploadServer?.url ? [{ upload: true }] : config.qrCode ? [{ image: config.qrCode }] : [];
+    }
+
+    const codes = await createQrCodes({ ...options, targets }, uploadServer?.url);
+    if (codes.length === 0) {
+        return undefined;
+    }
+    return {
+        codes,
+        rotateSeconds: options.rotateSeconds,
+        size: options.size,
+        position: options.position,
+        background: options.lightColor
+    };
+});
+
+async function startUploadServer() {
+    if (!config?.uploadServer?.enabled) {
+        return;
+    }
+
+    uploadServer = new UploadServer({
+        port: config.uploadServer.port,
+        maxFileSize: config.uploadServer.maxFileSizeMB ? config.uploadServer.maxFileSizeMB * 1024 * 1024 : undefined,
+        allowedExtensions: MEDIA_EXTENSIONS,
+        getTargetFolder: () => currentPhotoFolder
+    });
+
+    try {
+        await uploadServer.start();
+    } catch (error) {
+        console.error('Failed to start upload server:', error);
+        uploadServer = null;
+    }
+}
+
+const COMMANDS_WITH_PATH = ['folder', 'pin', 'unpin', 'favorite', 'unfavorite', 'hide', 'unhide'];
+
+function getRemoteStatus() {
+    return {
+        walls: walls.map(wall => ({
+            wall: wall.index + 1,
+            ...wall.status,
+            schedule: {
+                folder: wall.scheduledFolder,
+                blank: Boolean(wall.scheduledScreen?.blank),
+                interlude: wall.scheduledScreen?.interlude?.path || null
+            }
+        })),
+        hidden: photoFlags.list('hidden'),
+        favorites: photoFlags.list('favorite')
+    };
+}
+
+function sendRemoteCommand(targetWalls, command) {
+    for (const wall of targetWalls) {
+        wall.window.webContents.send('remote-command', command);
+    }
+}
+
+/**
+ * Runs a command from the remote control on the wall given by `args.wall`
+ * (counting from 1), or on every wall.
+ */
+function runRemoteCommand(command, args) {
+    let targetWalls = walls.filter(isWallAlive);
+    if (args.wall !== undefined) {
+        // query strings and some clients send the number as text
+        const wallNumber = ['number', 'string'].includes(typeof args.wall) && args.wall !== '' ? Number(args.wall) : NaN;
+        if (!Number.isInteger(wallNumber)) {
+            return { success: false, message: 'wall must be a whole number' };
+        }
+        targetWalls = targetWalls.filter(wall => wall.index + 1 === wallNumber);
+        if (targetWalls.length === 0) {
+            return { success: false, message: `Wall ${args.wall} not found` };
+        }
+    }
+    const photoPath = typeof args.path === 'string' ? path.resolve(args.path) : null;
+    if (COMMANDS_WITH_PATH.includes(command) && !photoPath) {
+        return { success: false, message: 'path must be text' };
+    }
+
+    switch (command) {
+        case 'play':
+        case 'pause':
+        case 'next':
+            sendRemoteCommand(targetWalls, { name: command });
+            return { success: true, message: `Sent ${command}` };
+        case 'interval': {
+            const seconds = Number(args.seconds);
+            if (!Number.isFinite(seconds) || seconds < 1 || seconds > 3600) {
+                return { success: false, message: 'seconds must be between 1 and 3600' };
+            }
+            sendRemoteCommand(targetWalls, { name: 'interval', interval: Math.round(seconds * 1000) });
+            return { success: true, message: `Interval set to ${seconds} seconds` };
+        }
+        case 'folder': {
+            // the remote switches between the folders of the config, it cannot open any folder on the PC
+            if (!getConfiguredFolders().has(photoPath)) {
+                return { success: false, message: 'Folder is not one of the configured folders' };
+            }
+            if (!fs.existsSync(photoPath) || !fs.statSync(photoPath).isDirectory()) {
+                return { success: false, message: 'Folder not found' };
+            }
+            for (const wall of targetWalls) {
+                setWallSources(wall, [createSource(photoPath)]);
+                wall.window.webContents.send('settings-changed', { folder: photoPath, sourcesChanged: true });
+            }
+            return { success: true, message: `Showing ${photoPath}` };
+        }
+        case 'pin': {
+            if (!fs.existsSync(photoPath) || pendingPhotos.has(photoPath) || photoFlags.isHidden(photoPath)) {
+                return { success: false, message: 'Photo not found' };
+            }
+            // a photo is pinned on one wall only, or it would be on two screens at once
+            const wall = targetWalls.find(target => sourcesIncludeFile(target.sources, photoPath, getIgnoredFolders()));
+            if (!wall) {
+                return { success: false, message: 'Photo is not in the folders of the wall' };
+            }
+            updatePhotoFlags(photoPath, { pinnedWall: wall.index });
+            return { success: true, message: `Pinned on wall ${wall.index + 1}` };
+        }
+        case 'unpin':
+            updatePhotoFlags(photoPath, { pinnedWall: null });
+            return { success: true, message: 'Unpinned' };
+        case 'favorite':
+        case 'unfavorite':
+            updatePhotoFlags(photoPath, { favorite: command === 'favorite' });
+            return { success: true, message: command === 'favorite' ? 'Photo starred' : 'Photo unstarred' };
+        case 'hide':
+            // hidden from every wall, whichever one was given
+            updatePhotoFlags(photoPath, { hidden: true });
+            return { success: true, message: 'Photo hidden' };
+        case 'unhide':
+            if (!photoFlags.isHidden(photoPath)) {
+                return { success: false, message: 'Photo is not hidden' };
+            }
+            updatePhotoFlags(photoPath, { hidden: false });
+            return { success: true, message: 'Photo shown again' };
+        default:
+            return { success: false, message: `Unknown command ${command}` };
+    }
+}
+
+async function startRemoteControl() {
+    if (!config?.remoteControl?.enabled) {
+        return;
+    }
+
+    if (!config.remoteControl.token) {
+        // generated once and kept in the user config, where the operator can look it up
+        config.remoteControl.token = crypto.randomBytes(16).toString('hex');
+        try {
+            await saveUserConfig({ remoteControl: { token: config.remoteControl.token } });
+            console.log('RemoteControl: Generated a token, see remoteControl.token in', USER_CONFIG_FILE);
+        } catch (error) {
+            console.error('RemoteControl: Failed to save the generated token:', error);
+        }
+    }
+
+    remoteControlServer = new RemoteControlServer({
+        port: config.remoteControl.port,
+        token: config.remoteControl.token,
+        getStatus: getRemoteStatus,
+        onCommand: runRemoteCommand
+    });
+
+    try {
+        await remoteControlServer.start();
+    } catch (error) {
+        console.error('Failed to start remote control server:', error);
+        remoteControlServer = null;
+    }
+}
+
+function stopRemoteControl() {
+    if (remoteControlServer) {
+        remoteControlServer.stop();
+        remoteControlServer = null;
+    }
+}
+
+function stopUploadServer() {
+    if (uploadServer) {
+        uploadServer.stop();
+        uploadServer = null;
+    }
+}
+
+/**
+ * Checks the schedule every second while it has blocks, and once more when
+ * it changed so walls leave blocks that were removed.
+ */
+function startSchedule() {
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
+    applySchedule();
+    if (config.schedule?.length > 0) {
+        scheduleTimer = setInterval(applySchedule, SCHEDULE_CHECK_INTERVAL);
+    }
+}
+
+function applySchedule() {
+    const now = new Date();
+    for (const wall of walls.filter(isWallAlive)) {
+        const { blank, folder, interlude } = getScheduledState(config.schedule || [], now, wall.index);
+        applyScheduledFolder(wall, folder);
+
+        // the photos of an interlude are only listed as it starts
+        const screen = { blank, interlude: blank ? null : interlude };
+        if (JSON.stringify(screen) === JSON.stringify(wall.scheduledScreen)) {
+            continue;
+        }
+        wall.scheduledScreen = screen;
+        if (blank) {
+            // nothing to keep awake for, the display may sleep until the wall comes back
+            releasePowerSaveBlocking(wall.window.webContents.id);
+        }
+        const photos = screen.interlude ? getInterludePhotos(screen.interlude.path) : [];
+        console.log(`Schedule: Wall ${wall.index + 1}`, blank ? 'blanked' : screen.interlude ? `shows interlude ${screen.interlude.path}` : 'shows the slideshow');
+        wall.window.webContents.send('schedule-changed', {
+            blank,
+            interlude: photos.length > 0 ? { ...screen.interlude, photos } : null
+        });
+        remoteControlServer?.broadcast();
+    }
+}
+
+function applyScheduledFolder(wall, folder) {
+    if (folder === wall.scheduledFolder) {
+        return;
+    }
+    wall.scheduledFolder = folder;
+    if (folder && !fs.existsSync(folder)) {
+        console.error('Schedule: Folder not found, keeping the configured folders:', folder);
+    } else {
+        console.log(`Schedule: Wall ${wall.index + 1} shows`, folder || 'its configured folders');
+    }
+    setWallSources(wall, getScheduledSources(wall));
+    wall.window.webContents.send('settings-changed', { folder: wall.sources[0]?.path || '', sourcesChanged: true });
+    remoteControlServer?.broadcast();
+}
+
+function getInterludePhotos(folder) {
+    if (!fs.existsSync(folder)) {
+        console.error('Schedule: Interlude folder not found:', folder);
+        return [];
+    }
+    return getMediaFiles([createSource(folder)], getIgnoredFolders())
+        .filter(filePath => !isVideoFile(filePath) && !pendingPhotos.has(filePath) && !photoFlags.isHidden(filePath));
+}
+
 function startPowerSaveBlocking() {
     if (powerSaveBlockerId === null) {
         try {
@@ -243,6 +1721,14 @@ function startPowerSaveBlocking() {
     }
 }
 
+// the display stays awake while any wall is playing
+function releasePowerSaveBlocking(webContentsId) {
+    powerSaveRequests.delete(webContentsId);
+    if (powerSaveRequests.size === 0) {
+        stopPowerSaveBlocking();
+    }
+}
+
 function stopPowerSaveBlocking() {
     if (powerSaveBlockerId !== null) {
         try {
@@ -257,12 +1743,24 @@ function stopPowerSaveBlocking() {
     }
 }
 
-app.whenReady().then(() => {
-    createWindow();
+app.whenReady().then(async () => {
+    initializeDerivativeCache();
+    updatePlaylistFlags().catch(error => console.error('Failed to apply photo flags to the rotation:', error));
+    await startUploadServer();
+    await startRemoteControl();
+    openWalls();
+    startSchedule();
+    walls[0].window.once('ready-to-show', showConfigProblems);
+    screen.on('display-added', handleDisplaysChanged);
+    screen.on('display-removed', handleDisplaysChanged);
+
+    if (isModerationEnabled()) {
+        createModerationWindow();
+    }
 
     app.on('activate', () => {
         if (BrowserWindow.getAllWindows().length === 0) {
-            createWindow();
+            openWalls();
         }
     });
 });
@@ -272,8 +1770,24 @@ function cleanup() {
         folderWatcher.close();
         folderWatcher = null;
     }
+    clearTimeout(photoChangeTimer);
+    photoChangeTimer = null;
+    if (moderationSaveTimer) {
+        saveModerationState();
+    }
+    if (playlistSaveTimer) {
+        savePlaylistState();
+    }
+    clearInterval(scheduleTimer);
+    scheduleTimer = null;
     currentPhotoFolder = '';
+    stopUploadServer();
+    stopRemoteControl();
     stopPowerSaveBlocking();
+    if (heicDecoderPool) {
+        heicDecoderPool.destroy();
+        heicDecoderPool = null;
+    }
 }
 
 app.on('window-all-closed', () => {
@@ -284,17 +1798,34 @@ app.on('window-all-closed', () => {
     }
 });
 
-app.on('before-quit', () => {
+app.on('before-quit', (event) => {
+    if (isKioskEnabled() && !quitAuthorized) {
+        event.preventDefault();
+        requestQuit();
+        return;
+    }
     cleanup();
 });
 
+ipcMain.handle('confirm-quit', async (event, pin) => {
+    if (!isPinCorrect(pin)) {
+        console.warn('Kiosk: Wrong quit PIN entered');
+        return { success: false, message: 'Wrong PIN' };
+    }
+    quitAuthorized = true;
+    app.quit();
+    return { success: true, message: 'Quitting' };
+});
+
 // Handle termination signals gracefully
 process.on('SIGINT', () => {
+    quitAuthorized = true;
     cleanup();
     app.quit();
 });
 
 process.on('SIGTERM', () => {
+    quitAuthorized = true;
     cleanup();
     app.quit();
 });
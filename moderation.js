@@ -0,0 +1,127 @@
+class ModerationPanel {
+    constructor() {
+        this.pendingPhotos = [];
+        this.isRefreshing = false;
+        this.refreshQueued = false;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.refresh();
+    }
+
+    initializeElements() {
+        this.approveAllBtn = document.getElementById('approveAllBtn');
+        this.pendingCount = document.getElementById('pendingCount');
+        this.emptyMessage = document.getElementById('emptyMessage');
+        this.pendingGrid = document.getElementById('pendingGrid');
+    }
+
+    bindEvents() {
+        this.approveAllBtn.addEventListener('click', () => this.approveAll());
+
+        window.electronAPI.onPendingPhotosUpdated(() => {
+            this.refresh();
+        });
+    }
+
+    async refresh() {
+        // collapse bursts of uploads into a single reload
+        if (this.isRefreshing) {
+            this.refreshQueued = true;
+            return;
+        }
+
+        this.isRefreshing = true;
+        try {
+            this.pendingPhotos = await window.electronAPI.getPendingPhotos();
+            this.render();
+        } catch (error) {
+            console.error('Moderation: Failed to load pending photos:', error);
+        } finally {
+            this.isRefreshing = false;
+        }
+
+        if (this.refreshQueued) {
+            this.refreshQueued = false;
+            this.refresh();
+        }
+    }
+
+    render() {
+        this.pendingGrid.replaceChildren(...this.pendingPhotos.map(photo => this.createCard(photo)));
+        this.pendingCount.textContent = `${this.pendingPhotos.length} photo${this.pendingPhotos.length === 1 ? '' : 's'}`;
+        this.emptyMessage.style.display = this.pendingPhotos.length === 0 ? 'block' : 'none';
+        this.approveAllBtn.disabled = this.pendingPhotos.length === 0;
+    }
+
+    createCard(photo) {
+        const card = document.createElement('div');
+        card.className = 'moderation-card';
+
+        let img;
+        if (photo.isVideo) {
+            img = document.createElement('video');
+            img.muted = true;
+            img.loop = true;
+            img.autoplay = true;
+        } else {
+            img = document.createElement('img');
+            img.alt = photo.name;
+        }
+        img.className = 'moderation-thumbnail';
+        img.src = photo.thumbnail;
+
+        const name = document.createElement('div');
+        name.className = 'moderation-name';
+        name.textContent = photo.name;
+
+        const actions = document.createElement('div');
+        actions.className = 'control-group';
+
+        const approveBtn = document.createElement('button');
+        approveBtn.className = 'btn primary';
+        approveBtn.textContent = 'Approve';
+        approveBtn.addEventListener('click', () => this.moderate(card, () => window.electronAPI.approvePhoto(photo.path)));
+
+        const rejectBtn = document.createElement('button');
+        rejectBtn.className = 'btn playing';
+        rejectBtn.textContent = 'Reject';
+        rejectBtn.addEventListener('click', () => this.moderate(card, () => window.electronAPI.rejectPhoto(photo.path)));
+
+        actions.append(approveBtn, rejectBtn);
+        card.append(img, name, actions);
+        return card;
+    }
+
+    async moderate(card, action) {
+        for (const button of card.querySelectorAll('button')) {
+            button.disabled = true;
+        }
+
+        try {
+            const result = await action();
+            if (!result.success) {
+                console.warn('Moderation:', result.message);
+            }
+        } catch (error) {
+            console.error('Moderation: Action failed:', error);
+        }
+        await this.refresh();
+    }
+
+    async approveAll() {
+        this.approveAllBtn.disabled = true;
+        for (const photo of this.pendingPhotos) {
+            try {
+                await window.electronAPI.approvePhoto(photo.path);
+            } catch (error) {
+                console.error('Moderation: Failed to approve', photo.path, error);
+            }
+        }
+        await this.refresh();
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new ModerationPanel();
+});
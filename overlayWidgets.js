@@ -0,0 +1,140 @@
+// Small widgets shown on top of the grid: a clock, the event title or logo,
+// the number of photos shared so far and a scrolling ticker. They are fixed to
+// a corner or edge of the screen, together with the QR code panel; widgets
+// that share a position are stacked.
+
+const WIDGET_POSITIONS = ['top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'];
+const CLOCK_UPDATE_INTERVAL = 1000;
+
+class OverlayWidgets {
+    constructor() {
+        this.areas = new Map();
+        this.elements = [];
+        this.clockTimer = null;
+        this.clockElement = null;
+        this.countElement = null;
+        this.countText = '';
+        this.photoCount = 0;
+        this.tickerAnimation = null;
+    }
+
+    getArea(position) {
+        if (!this.areas.has(position)) {
+            const area = document.createElement('div');
+            area.className = `widget-area ${position}`;
+            document.body.appendChild(area);
+            this.areas.set(position, area);
+        }
+        return this.areas.get(position);
+    }
+
+    /**
+     * Moves an element, such as the QR code panel, to one of the positions.
+     */
+    place(element, position) {
+        this.getArea(position).appendChild(element);
+    }
+
+    createWidget(name, options) {
+        const widget = document.createElement('div');
+        widget.className = `overlay-widget ${name}-widget`;
+        const { fontSize, color, background } = options.style || {};
+        if (fontSize) {
+            widget.style.fontSize = `${fontSize}px`;
+        }
+        if (color) {
+            widget.style.color = color;
+        }
+        if (background) {
+            widget.style.background = background;
+        }
+        this.place(widget, options.position);
+        this.elements.push(widget);
+        return widget;
+    }
+
+    /**
+     * Rebuilds the widgets from the `widgets` section of config. Widgets that
+     * are not enabled are left out.
+     */
+    apply(widgets = {}) {
+        this.clear();
+        const { clock, title, photoCount, ticker } = widgets;
+
+        if (clock?.enabled) {
+            this.clockElement = this.createWidget('clock', clock);
+            const update = () => {
+                const time = new Date().toLocaleTimeString([], {
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    second: clock.showSeconds ? '2-digit' : undefined
+                });
+                const date = clock.showDate ? new Date().toLocaleDateString([], { weekday: 'long', day: 'numeric', month: 'long' }) : '';
+                this.clockElement.textContent = date ? `${date} ${time}` : time;
+            };
+            update();
+            this.clockTimer = setInterval(update, CLOCK_UPDATE_INTERVAL);
+        }
+
+        if (title?.enabled && (title.text || title.logo)) {
+            const widget = this.createWidget('title', title);
+            if (title.logo) {
+                const logo = document.createElement('img');
+                logo.className = 'title-widget-logo';
+                logo.src = title.logo;
+                logo.alt = title.text || '';
+                widget.appendChild(logo);
+            }
+            if (title.text) {
+                const text = document.createElement('span');
+                text.textContent = title.text;
+                widget.appendChild(text);
+            }
+        }
+
+        if (photoCount?.enabled) {
+            this.countElement = this.createWidget('photo-count', photoCount);
+            this.countText = photoCount.text;
+            this.setPhotoCount(this.photoCount);
+        }
+
+        if (ticker?.enabled && ticker.text) {
+            const widget = this.createWidget('ticker', ticker);
+            const text = document.createElement('span');
+            text.className = 'ticker-widget-text';
+            text.textContent = ticker.text;
+            widget.appendChild(text);
+            // the text runs in from the right edge and out at the left, at the same speed however long it is
+            const distance = widget.clientWidth + text.offsetWidth;
+            this.tickerAnimation = text.animate([
+                { transform: `translateX(${widget.clientWidth}px)` },
+                { transform: `translateX(${-text.offsetWidth}px)` }
+            ], { duration: distance / ticker.speed * 1000, iterations: Infinity });
+        }
+    }
+
+    setPhotoCount(count) {
+        this.photoCount = count;
+        if (this.countElement) {
+            this.countElement.textContent = this.countText.replace('{count}', count.toLocaleString());
+        }
+    }
+
+    clear() {
+        clearInterval(this.clockTimer);
+        this.clockTimer = null;
+        this.tickerAnimation?.cancel();
+        this.tickerAnimation = null;
+        this.clockElement = null;
+        this.countElement = null;
+        // the areas stay, they may hold elements placed from outside
+        for (const element of this.elements) {
+            element.remove();
+        }
+        this.elements = [];
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { WIDGET_POSITIONS, OverlayWidgets };
+}
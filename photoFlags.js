@@ -0,0 +1,206 @@
+// What the operator chose for single photos: hidden from the wall, pinned on
+// a wall, or starred as a favorite. Kept in a sidecar file next to the user
+// config, keyed by path. Each entry also remembers a quick content hash, so a
+// photo keeps its flags when it is renamed or moved to another folder.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const FLAGS_VERSION = 1;
+// the size and the first 64 KB tell photos apart without reading whole videos
+const HASH_SAMPLE_SIZE = 64 * 1024;
+
+async function quickHash(filePath) {
+    const file = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await file.stat();
+        const sample = Buffer.alloc(Math.min(size, HASH_SAMPLE_SIZE));
+        await file.read(sample, 0, sample.length, 0);
+        return crypto.createHash('sha1').update(String(size)).update(sample).digest('hex');
+    } finally {
+        await file.close();
+    }
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.promises.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function hasFlags(entry) {
+    return Boolean(entry.hidden || entry.favorite || Number.isInteger(entry.pinnedWall));
+}
+
+class PhotoFlagStore {
+    /**
+     * @param {string} filePath - JSON file the flags are saved to
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = new Map();
+        // hashes of files checked while looking for moved photos, by path
+        this.hashCache = new Map();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.entries = new Map((data.photos || []).filter(hasFlags).map(entry => [entry.path, entry]));
+                console.log('PhotoFlags: Loaded flags for', this.entries.size, 'photos');
+            }
+        } catch (error) {
+            console.error('PhotoFlags: Failed to load photo flags:', error);
+        }
+    }
+
+    save() {
+        // write and rename, so a power cut mid-write never leaves a truncated file
+        const tempFile = `${this.filePath}.tmp`;
+        try {
+            fs.writeFileSync(tempFile, JSON.stringify({ version: FLAGS_VERSION, photos: [...this.entries.values()] }, null, 2));
+            fs.renameSync(tempFile, this.filePath);
+        } catch (error) {
+            console.error('PhotoFlags: Failed to save photo flags:', error);
+        }
+    }
+
+    get(photoPath) {
+        return this.entries.get(photoPath) || { path: photoPath };
+    }
+
+    isHidden(photoPath) {
+        return Boolean(this.entries.get(photoPath)?.hidden);
+    }
+
+    /**
+     * Lists the paths of the photos that have a flag set, e.g. list('hidden').
+     */
+    list(flag) {
+        return [...this.entries.values()].filter(entry => entry[flag]).map(entry => entry.path);
+    }
+
+    listPinned(wallIndex) {
+        return [...this.entries.values()].filter(entry => entry.pinnedWall === wallIndex).map(entry => entry.path);
+    }
+
+    /**
+     * Changes the flags of a photo and saves them. `pinnedWall` is the index
+     * of the wall the photo is pinned on, null to unpin it.
+     *
+     * @param {string} photoPath
+     * @param {{ hidden?: boolean, favorite?: boolean, pinnedWall?: number|null }} changes
+     */
+    set(photoPath, changes) {
+        const entry = { ...this.get(photoPath), ...changes };
+        if (entry.pinnedWall === null) {
+            delete entry.pinnedWall;
+        }
+
+        if (!hasFlags(entry)) {
+            this.entries.delete(photoPath);
+        } else {
+            this.entries.set(photoPath, entry);
+            if (!entry.hash) {
+                this.addHash(entry);
+            }
+        }
+        this.save();
+        return entry;
+    }
+
+    async addHash(entry) {
+        try {
+            entry.hash = await quickHash(entry.path);
+        } catch (error) {
+            console.warn('PhotoFlags: Could not hash photo, its flags are kept by path only:', entry.path);
+            return;
+        }
+        if (this.entries.get(entry.path) === entry) {
+            this.save();
+        }
+    }
+
+    async findMissing() {
+        const missing = [];
+        for (const entry of this.entries.values()) {
+            if (!(await fileExists(entry.path))) {
+                missing.push(entry);
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * Moves the flags of photos that are no longer at their saved path to the
+     * given files with the same content. Files are only hashed while some
+     * flagged photo is missing. When `filePaths` holds every photo in every
+     * watched folder, the flags of photos still missing are dropped.
+     * Resolves to whether any flags changed.
+     *
+     * @param {string[]} filePaths - photos that were found or added
+     * @param {{ complete?: boolean }} [options]
+     */
+    async relink(filePaths, { complete = false } = {}) {
+        const missing = await this.findMissing();
+        if (missing.length === 0) {
+            return false;
+        }
+
+        const missingByHash = new Map(missing.filter(entry => entry.hash).map(entry => [entry.hash, entry]));
+        let changed = false;
+        for (const filePath of filePaths) {
+            if (missingByHash.size === 0) {
+                break;
+            }
+            if (this.entries.has(filePath)) {
+                continue;
+            }
+            const entry = missingByHash.get(await this.getHash(filePath));
+            if (!entry || this.entries.get(entry.path) !== entry) {
+                continue;
+            }
+            console.log('PhotoFlags: Photo moved, keeping its flags:', entry.path, '->', filePath);
+            this.entries.delete(entry.path);
+            missingByHash.delete(entry.hash);
+            this.entries.set(filePath, { ...entry, path: filePath });
+            changed = true;
+        }
+
+        if (complete) {
+            for (const entry of missing) {
+                if (this.entries.get(entry.path) === entry && !(await fileExists(entry.path))) {
+                    console.log('PhotoFlags: Photo deleted, dropping its flags:', entry.path);
+                    this.entries.delete(entry.path);
+                    changed = true;
+                }
+            }
+        }
+
+        if (changed) {
+            this.save();
+        }
+        return changed;
+    }
+
+    async getHash(filePath) {
+        try {
+            const { size, mtimeMs } = await fs.promises.stat(filePath);
+            const cached = this.hashCache.get(filePath);
+            if (cached && cached.size === size && cached.mtimeMs === mtimeMs) {
+                return cached.hash;
+            }
+            const hash = await quickHash(filePath);
+            this.hashCache.set(filePath, { size, mtimeMs, hash });
+            return hash;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = { PhotoFlagStore, quickHash };
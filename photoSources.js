@@ -0,0 +1,173 @@
+// Photo source folders. Each source is a folder, optionally scanned recursively,
+// with include/exclude glob patterns matched against paths relative to the folder.
+
+const path = require('path');
+const fs = require('fs');
+const picomatch = require('picomatch');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.heic', '.heif'];
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.webm'];
+const MEDIA_EXTENSIONS = [...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS];
+
+function createMatcher(patterns) {
+    return patterns.length > 0 ? picomatch(patterns, { nocase: true }) : null;
+}
+
+/**
+ * Normalizes a source from config, which may be a plain folder path or an
+ * object of the form `{ path, recursive, include, exclude }`.
+ */
+function createSource(source) {
+    const options = typeof source === 'string' ? { path: source } : source;
+    const include = options.include || [];
+    const exclude = options.exclude || [];
+
+    return {
+        path: path.resolve(options.path),
+        recursive: Boolean(options.recursive),
+        include,
+        exclude,
+        includeMatcher: createMatcher(include),
+        excludeMatcher: createMatcher(exclude)
+    };
+}
+
+function getRelativeSegments(source, filePath) {
+    const relativePath = path.relative(source.path, filePath);
+    if (!relativePath) {
+        return [];
+    }
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+        return null;
+    }
+    return relativePath.split(path.sep);
+}
+
+// ignored folders only count directly under the source folder
+function isIgnoredFolder(segments, index, ignoredFolders) {
+    return index === 0 && ignoredFolders.includes(segments[0]);
+}
+
+function isHiddenOrIgnored(segments, ignoredFolders) {
+    return segments.some((segment, index) =>
+        segment.startsWith('.') || (index < segments.length - 1 && isIgnoredFolder(segments, index, ignoredFolders))
+    );
+}
+
+function isMediaFile(filePath) {
+    return MEDIA_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function isVideoFile(filePath) {
+    return VIDEO_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+function sourceIncludesFile(source, filePath, ignoredFolders = []) {
+    const segments = getRelativeSegments(source, filePath);
+    if (!segments || segments.length === 0 || (!source.recursive && segments.length > 1)) {
+        return false;
+    }
+    if (isHiddenOrIgnored(segments, ignoredFolders) || !isMediaFile(filePath)) {
+        return false;
+    }
+
+    const relativePath = segments.join('/');
+    if (source.includeMatcher && !source.includeMatcher(relativePath)) {
+        return false;
+    }
+    return !(source.excludeMatcher && source.excludeMatcher(relativePath));
+}
+
+function sourceIncludesFolder(source, folderPath, ignoredFolders = []) {
+    if (path.resolve(folderPath) === source.path) {
+        return true;
+    }
+    const segments = getRelativeSegments(source, folderPath);
+    return Boolean(segments) && source.recursive &&
+        !segments.some((segment, index) => segment.startsWith('.') || isIgnoredFolder(segments, index, ignoredFolders));
+}
+
+function scanSource(source, ignoredFolders) {
+    const files = [];
+    const pending = [source.path];
+
+    while (pending.length > 0) {
+        const directory = pending.pop();
+        let entries;
+        try {
+            entries = fs.readdirSync(directory, { withFileTypes: true });
+        } catch (error) {
+            console.error('Error reading directory:', directory, error);
+            continue;
+        }
+
+        for (const entry of entries) {
+            const entryPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (sourceIncludesFolder(source, entryPath, ignoredFolders)) {
+                    pending.push(entryPath);
+                }
+            } else if (sourceIncludesFile(source, entryPath, ignoredFolders)) {
+                files.push(entryPath);
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * Returns the sorted, de-duplicated list of photos and videos across all sources.
+ * Folders named in `ignoredFolders` are skipped directly under a source folder.
+ */
+function getMediaFiles(sources, ignoredFolders = []) {
+    const files = new Set();
+    for (const source of sources) {
+        if (!fs.existsSync(source.path)) {
+            continue;
+        }
+        for (const file of scanSource(source, ignoredFolders)) {
+            files.add(file);
+        }
+    }
+    return [...files].sort();
+}
+
+/**
+ * Whether a photo belongs to any of `sources`. The file does not need to
+ * exist anymore, so this also works for photos that were just deleted.
+ */
+function sourcesIncludeFile(sources, filePath, ignoredFolders = []) {
+    return sources.some(source => sourceIncludesFile(source, filePath, ignoredFolders));
+}
+
+/**
+ * Predicate for chokidar's `ignored` option. Stats may be missing on the
+ * first call for a path, in which case only hidden and ignored folders are
+ * rejected and the path is checked again once its stats are known.
+ */
+function shouldIgnorePath(sources, filePath, stats, ignoredFolders = []) {
+    if (!stats) {
+        return !sources.some(source => {
+            const segments = getRelativeSegments(source, filePath);
+            return segments !== null &&
+                !segments.some((segment, index) => segment.startsWith('.') || isIgnoredFolder(segments, index, ignoredFolders));
+        });
+    }
+
+    if (stats.isDirectory()) {
+        return !sources.some(source => sourceIncludesFolder(source, filePath, ignoredFolders));
+    }
+    return !sources.some(source => sourceIncludesFile(source, filePath, ignoredFolders));
+}
+
+module.exports = {
+    IMAGE_EXTENSIONS,
+    VIDEO_EXTENSIONS,
+    MEDIA_EXTENSIONS,
+    createSource,
+    getMediaFiles,
+    isMediaFile,
+    isVideoFile,
+    shouldIgnorePath,
+    sourcesIncludeFile
+};
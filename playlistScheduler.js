@@ -0,0 +1,512 @@
+// Decides which loaded photo each wall shows next. Main keeps one rotation for
+// all walls; it only deals with paths, times and numbers, so it is tested in plain Node.
+
+const DEFAULT_SCHEDULER_OPTIONS = {
+    // show every photo once per cycle before any photo repeats
+    shuffle: true,
+    // extra weight (and extra showings per cycle) for a photo that was just added
+    recencyBoost: 2,
+    recencyHalfLifeMinutes: 15,
+    // a photo unseen for this long is shown next, 0 disables the guarantee
+    minExposureMinutes: 0,
+    // 'none', 'uploader' or 'folder': give each group an equal share of the wall
+    fairness: 'none',
+    // how many times as often a favorite is shown
+    favoriteWeight: 3,
+    // photos whose perceptual hashes differ in at most this many of their 64 bits
+    // are near-duplicates, and only one of them is in the rotation at a time
+    nearDuplicateDistance: 6
+};
+
+const MINUTE = 60 * 1000;
+
+function getFolder(filePath) {
+    return filePath.replace(/[\\/][^\\/]*$/, '');
+}
+
+// what is saved of a photo's place in the rotation
+function getSavedEntry({ path, addedAt, boostFrom, lastShownAt, showCount, cycleShows }) {
+    return { path, addedAt, boostFrom, lastShownAt, showCount, cycleShows };
+}
+
+// number of differing bits between two hex hashes of the same length
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+class PlaylistScheduler {
+    /**
+     * @param {Object} [options] - overrides for DEFAULT_SCHEDULER_OPTIONS
+     * @param {() => number} [now] - clock in milliseconds
+     * @param {() => number} [random] - random number source in [0, 1)
+     */
+    constructor(options = {}, now = () => Date.now(), random = Math.random) {
+        this.options = { ...DEFAULT_SCHEDULER_OPTIONS };
+        this.now = now;
+        this.random = random;
+        this.entries = new Map();
+        // photos that were never shown count as last seen when the wall started
+        this.startedAt = now();
+        // most recently shown paths, newest last
+        this.recent = [];
+        // restored counts for photos that have not been added again yet
+        this.savedEntries = new Map();
+        this.favorites = new Set();
+        // content hashes of hidden photos, their copies are hidden too
+        this.hiddenHashes = new Set();
+        // near-duplicate groups by id, each a set of paths
+        this.similarGroups = new Map();
+        this.nextGroupId = 1;
+        this.setOptions(options);
+    }
+
+    setOptions(options = {}) {
+        // options left undefined in config keep their defaults
+        const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+        const previousDistance = this.options.nearDuplicateDistance;
+        this.options = { ...this.options, ...definedOptions };
+        if (this.options.nearDuplicateDistance !== previousDistance) {
+            this.regroup();
+        }
+    }
+
+    setFavorites(paths) {
+        this.favorites = new Set(paths);
+    }
+
+    setHiddenHashes(hashes) {
+        this.hiddenHashes = new Set(hashes);
+    }
+
+    // a copy of a hidden photo, which stays out of the rotation even once it
+    // takes the place of the hidden original
+    isHidden(path) {
+        const entry = this.entries.get(path);
+        return Boolean(entry?.contentHash) && this.hiddenHashes.has(entry.contentHash);
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(path) {
+        return this.entries.has(path);
+    }
+
+    /**
+     * Adds a photo to the rotation. Photos that were already there when the
+     * wall started should pass `initial` so they get no recency boost.
+     * A photo with the same `contentHash` as one already in the rotation is
+     * never shown on its own, one whose `perceptualHash` is close to others
+     * takes turns with them.
+     */
+    add(path, { uploader, initial = false, contentHash, perceptualHash } = {}) {
+        const existing = this.entries.get(path);
+        if (existing) {
+            existing.uploader = uploader;
+            // the file changed, it may no longer look like the same photos
+            if (existing.contentHash !== contentHash || existing.perceptualHash !== perceptualHash) {
+                this.ungroup(existing);
+                Object.assign(existing, { contentHash, perceptualHash });
+                this.group(existing);
+            }
+            return;
+        }
+        const entry = {
+            path,
+            uploader,
+            contentHash,
+            perceptualHash,
+            addedAt: this.now(),
+            // when the recency boost starts to wear off, null for no boost
+            boostFrom: initial ? null : this.now(),
+            lastShownAt: null,
+            showCount: 0,
+            cycleShows: 0,
+            ...this.savedEntries.get(path)
+        };
+        this.entries.set(path, entry);
+        this.savedEntries.delete(path);
+        this.group(entry);
+    }
+
+    /**
+     * Takes a photo out of the rotation. With `keepState` its show counts are
+     * kept for when it is added again, like those of a restored state.
+     */
+    remove(path, { keepState = false } = {}) {
+        const entry = this.entries.get(path);
+        if (entry) {
+            this.ungroup(entry);
+            if (keepState) {
+                this.savedEntries.set(path, getSavedEntry(entry));
+            }
+        }
+        this.entries.delete(path);
+        this.recent = this.recent.filter(recentPath => recentPath !== path);
+    }
+
+    clear() {
+        this.startedAt = this.now();
+        this.entries.clear();
+        this.savedEntries.clear();
+        this.similarGroups.clear();
+        this.recent = [];
+    }
+
+    group(entry) {
+        const entries = [...this.entries.values()].filter(other => other !== entry && !other.duplicateOf);
+        const original = entry.contentHash && entries.find(other => other.contentHash === entry.contentHash);
+        if (original) {
+            entry.duplicateOf = original.path;
+            return;
+        }
+
+        const { nearDuplicateDistance } = this.options;
+        if (!entry.perceptualHash || nearDuplicateDistance < 0) {
+            return;
+        }
+        const similar = entries.filter(other => other.perceptualHash &&
+            other.perceptualHash.length === entry.perceptualHash.length &&
+            hammingDistance(other.perceptualHash, entry.perceptualHash) <= nearDuplicateDistance);
+        if (similar.length === 0) {
+            return;
+        }
+
+        // a photo close to several groups joins them into one
+        const groupId = similar.find(other => other.similarGroup)?.similarGroup || this.nextGroupId++;
+        const members = this.similarGroups.get(groupId) || new Set();
+        for (const other of [entry, ...similar]) {
+            const otherGroupId = other.similarGroup;
+            if (otherGroupId && otherGroupId !== groupId) {
+                for (const memberPath of this.similarGroups.get(otherGroupId)) {
+                    this.entries.get(memberPath).similarGroup = groupId;
+                    members.add(memberPath);
+                }
+                this.similarGroups.delete(otherGroupId);
+            }
+            other.similarGroup = groupId;
+            members.add(other.path);
+        }
+        this.similarGroups.set(groupId, members);
+    }
+
+    regroup() {
+        this.similarGroups.clear();
+        for (const entry of this.entries.values()) {
+            delete entry.duplicateOf;
+            delete entry.similarGroup;
+        }
+        for (const entry of this.entries.values()) {
+            this.group(entry);
+        }
+    }
+
+    ungroup(entry) {
+        if (entry.duplicateOf) {
+            delete entry.duplicateOf;
+            return;
+        }
+
+        // the next copy of a removed photo takes its place
+        const duplicates = [...this.entries.values()].filter(other => other.duplicateOf === entry.path);
+        if (duplicates.length > 0) {
+            const [replacement, ...others] = duplicates;
+            delete replacement.duplicateOf;
+            for (const other of others) {
+                other.duplicateOf = replacement.path;
+            }
+            if (entry.similarGroup) {
+                const members = this.similarGroups.get(entry.similarGroup);
+                members.delete(entry.path);
+                members.add(replacement.path);
+                replacement.similarGroup = entry.similarGroup;
+                delete entry.similarGroup;
+            }
+            return;
+        }
+
+        if (entry.similarGroup) {
+            const members = this.similarGroups.get(entry.similarGroup);
+            members.delete(entry.path);
+            if (members.size < 2) {
+                for (const memberPath of members) {
+                    delete this.entries.get(memberPath).similarGroup;
+                }
+                this.similarGroups.delete(entry.similarGroup);
+            }
+            delete entry.similarGroup;
+        }
+    }
+
+    /**
+     * Lists the photos that are copies of another photo or look like others,
+     * as arrays of paths with the photo that is shown first.
+     */
+    getDuplicateGroups() {
+        const duplicates = new Map();
+        for (const entry of this.entries.values()) {
+            if (entry.duplicateOf) {
+                duplicates.set(entry.duplicateOf, [...(duplicates.get(entry.duplicateOf) || [entry.duplicateOf]), entry.path]);
+            }
+        }
+        return {
+            duplicates: [...duplicates.values()],
+            similar: [...this.similarGroups.values()].map(members => [...members])
+        };
+    }
+
+    /**
+     * Returns the rotation as plain data that can be saved and passed to
+     * restoreState after a restart.
+     */
+    getState() {
+        return {
+            recent: [...this.recent],
+            entries: [...[...this.entries.values()].map(getSavedEntry), ...this.savedEntries.values()]
+        };
+    }
+
+    /**
+     * Restores a saved rotation. Photos added afterwards continue with their
+     * saved show counts instead of starting over.
+     */
+    restoreState(state) {
+        for (const saved of state?.entries || []) {
+            const { path, addedAt, boostFrom, lastShownAt, showCount, cycleShows } = saved;
+            const entry = this.entries.get(path);
+            if (entry) {
+                Object.assign(entry, { addedAt, boostFrom, lastShownAt, showCount, cycleShows });
+            } else {
+                this.savedEntries.set(path, { path, addedAt, boostFrom, lastShownAt, showCount, cycleShows });
+            }
+        }
+        this.recent = [...(state?.recent || [])];
+    }
+
+    getBoost(entry, now) {
+        const { recencyBoost, recencyHalfLifeMinutes } = this.options;
+        if (!recencyBoost || !recencyHalfLifeMinutes || entry.boostFrom === null) {
+            return 0;
+        }
+        const age = Math.max(0, now - entry.boostFrom);
+        return recencyBoost * Math.pow(0.5, age / (recencyHalfLifeMinutes * MINUTE));
+    }
+
+    // relative number of showings, before fairness between groups
+    getWeight(entry, now) {
+        const favoriteWeight = this.favorites.has(entry.path) ? this.options.favoriteWeight : 1;
+        return (1 + this.getBoost(entry, now)) * favoriteWeight;
+    }
+
+    // showings in this cycle, a near-duplicate group counts as one photo
+    getCycleShows(entry) {
+        if (!entry.similarGroup) {
+            return entry.cycleShows;
+        }
+        let cycleShows = 0;
+        for (const memberPath of this.similarGroups.get(entry.similarGroup)) {
+            cycleShows += this.entries.get(memberPath).cycleShows;
+        }
+        return cycleShows;
+    }
+
+    // the member of each near-duplicate group that is up next: the one shown least,
+    // out of the ones in `included` when given
+    getRepresentatives(included = null) {
+        const representatives = new Set();
+        for (const members of this.similarGroups.values()) {
+            let representative = null;
+            for (const memberPath of members) {
+                const entry = this.entries.get(memberPath);
+                if (this.isHidden(memberPath) || (included && !included.has(memberPath))) {
+                    continue;
+                }
+                if (!representative || entry.showCount < representative.showCount ||
+                    (entry.showCount === representative.showCount && entry.addedAt < representative.addedAt)) {
+                    representative = entry;
+                }
+            }
+            if (representative) {
+                representatives.add(representative.path);
+            }
+        }
+        return representatives;
+    }
+
+    getGroup(entry) {
+        switch (this.options.fairness) {
+            case 'uploader':
+                return entry.uploader || '';
+            case 'folder':
+                return getFolder(entry.path);
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Picks the next photo to show and records it as shown. The last
+     * `repeatWindow` photos, and those in `excluded` (such as the photos on
+     * another screen), are skipped while there are others to choose from,
+     * together with their copies and near-duplicates. When several walls share
+     * the rotation, `included` holds the photos the wall can show. Returns null
+     * when the rotation is empty or only holds copies of hidden photos.
+     */
+    next(repeatWindow = 0, excluded = new Set(), included = null) {
+        if (this.entries.size === 0) {
+            return null;
+        }
+
+        const now = this.now();
+        const recent = new Set(repeatWindow > 0 ? this.recent.slice(-repeatWindow) : []);
+        // copies are never shown themselves, they stand in for their original
+        const entries = [...this.entries.values()].filter(entry => !entry.duplicateOf && !this.isHidden(entry.path) &&
+            (!included || included.has(entry.path)));
+        if (entries.length === 0) {
+            return null;
+        }
+        const skipped = new Set();
+        const skippedGroups = new Set();
+        for (const path of [...recent, ...excluded]) {
+            const entry = this.entries.get(path);
+            const original = entry?.duplicateOf ? this.entries.get(entry.duplicateOf) : entry;
+            skipped.add(original ? original.path : path);
+            if (original?.similarGroup) {
+                skippedGroups.add(original.similarGroup);
+            }
+        }
+
+        const representatives = this.getRepresentatives(included);
+        let eligible = entries.filter(entry => !skipped.has(entry.path) &&
+            (!entry.similarGroup || (!skippedGroups.has(entry.similarGroup) && representatives.has(entry.path))));
+        if (eligible.length === 0) {
+            // fewer photos than the window, fall back to the one unseen the longest,
+            // preferably one that is not excluded
+            const available = entries.filter(entry => !excluded.has(entry.path));
+            eligible = [(available.length > 0 ? available : entries).sort((a, b) => a.lastShownAt - b.lastShownAt)[0]];
+        }
+
+        const entry = this.pickOverdue(eligible, now) || this.pickWeighted(eligible, now);
+        entry.lastShownAt = now;
+        entry.showCount++;
+        entry.cycleShows++;
+
+        this.recent.push(entry.path);
+        this.recent = this.recent.slice(-Math.max(repeatWindow, 1));
+        return entry.path;
+    }
+
+    getLastSeen(entry) {
+        if (entry.lastShownAt !== null) {
+            return entry.lastShownAt;
+        }
+        // a photo restored from an earlier run may have been added before this one started
+        return Math.max(entry.addedAt, this.startedAt);
+    }
+
+    /**
+     * Records a photo that is back on screen without being picked, such as a
+     * photo restored to its slot after a restart. Its show counts stay as they
+     * are, the photo was counted when it was picked.
+     */
+    markShown(path, repeatWindow = 0) {
+        const entry = this.entries.get(path);
+        if (!entry) {
+            return;
+        }
+        entry.lastShownAt = this.now();
+        this.recent = [...this.recent.filter(recentPath => recentPath !== path), path].slice(-Math.max(repeatWindow, 1));
+    }
+
+    pickOverdue(eligible, now) {
+        const limit = this.options.minExposureMinutes * MINUTE;
+        if (!limit) {
+            return null;
+        }
+
+        let oldest = Infinity;
+        let overdue = [];
+        for (const entry of eligible) {
+            const lastSeen = this.getLastSeen(entry);
+            if (now - lastSeen < limit || lastSeen > oldest) {
+                continue;
+            }
+            if (lastSeen < oldest) {
+                oldest = lastSeen;
+                overdue = [];
+            }
+            overdue.push(entry);
+        }
+        if (overdue.length === 0) {
+            return null;
+        }
+
+        // photos unseen since the same moment, such as all photos since the wall
+        // started, are chosen between as usual
+        const [, candidates] = this.pickGroup(overdue);
+        return this.drawWeighted(candidates, now);
+    }
+
+    // each group gets the same chance, however many photos it has
+    pickGroup(entries) {
+        const groups = new Map();
+        for (const entry of entries) {
+            const group = this.getGroup(entry);
+            if (!groups.has(group)) {
+                groups.set(group, []);
+            }
+            groups.get(group).push(entry);
+        }
+
+        const groupKeys = [...groups.keys()];
+        const groupKey = groupKeys[Math.floor(this.random() * groupKeys.length)];
+        return [groupKey, groups.get(groupKey)];
+    }
+
+    drawWeighted(candidates, now) {
+        const weights = candidates.map(entry => this.getWeight(entry, now));
+        let target = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < candidates.length; i++) {
+            target -= weights[i];
+            if (target < 0) {
+                return candidates[i];
+            }
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    pickWeighted(eligible, now) {
+        const [groupKey, groupEntries] = this.pickGroup(eligible);
+        let candidates = groupEntries;
+
+        if (this.options.shuffle) {
+            // a boosted or favorite photo may come up more than once before its cycle ends
+            const remaining = candidates.filter(entry => this.getCycleShows(entry) < Math.round(this.getWeight(entry, now)));
+            if (remaining.length === 0) {
+                this.startCycle(groupKey);
+            } else {
+                candidates = remaining;
+            }
+        }
+        return this.drawWeighted(candidates, now);
+    }
+
+    startCycle(groupKey) {
+        for (const entry of this.entries.values()) {
+            if (this.getGroup(entry) === groupKey) {
+                entry.cycleShows = 0;
+            }
+        }
+    }
+}
+
+module.exports = { DEFAULT_SCHEDULER_OPTIONS, PlaylistScheduler, hammingDistance };
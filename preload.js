@@ -2,13 +2,47 @@ const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
     selectFolder: () => ipcRenderer.invoke('select-folder'),
-    getPhotos: (folderPath) => ipcRenderer.invoke('get-photos', folderPath),
-    onPhotosUpdated: (callback) => ipcRenderer.on('photos-updated', callback),
-    removePhotosUpdatedListener: () => ipcRenderer.removeAllListeners('photos-updated'),
-    convertHeic: (uint8Array) => ipcRenderer.invoke('convert-heic', uint8Array),
+    getPhotos: () => ipcRenderer.invoke('get-photos'),
+    onPhotosAdded: (callback) => ipcRenderer.on('photos-added', callback),
+    onPhotosRemoved: (callback) => ipcRenderer.on('photos-removed', callback),
+    onPhotosChanged: (callback) => ipcRenderer.on('photos-changed', callback),
+    convertHeic: (filePath) => ipcRenderer.invoke('convert-heic', filePath),
     isHeicSupported: () => ipcRenderer.invoke('is-heic-supported'),
+    getDisplayImage: (filePath) => ipcRenderer.invoke('get-display-image', filePath),
+    cancelDisplayImages: (filePaths) => ipcRenderer.invoke('cancel-display-images', filePaths),
+    releaseDisplayImages: (filePaths) => ipcRenderer.invoke('release-display-images', filePaths),
+    getImageMetadata: (filePath) => ipcRenderer.invoke('get-image-metadata', filePath),
     getStartupFolder: () => ipcRenderer.invoke('get-startup-folder'),
     startPowerSaveBlocking: () => ipcRenderer.invoke('start-power-save-blocking'),
     stopPowerSaveBlocking: () => ipcRenderer.invoke('stop-power-save-blocking'),
-    getQRCodePath: () => ipcRenderer.invoke('get-qr-code-path'),
+    getQRCode: () => ipcRenderer.invoke('get-qr-code'),
+    getLayout: () => ipcRenderer.invoke('get-layout'),
+    getDisplayOptions: () => ipcRenderer.invoke('get-display-options'),
+    getSlideshowState: () => ipcRenderer.invoke('get-slideshow-state'),
+    saveSlideshowState: (state) => ipcRenderer.invoke('save-slideshow-state', state),
+    setPhotosOnScreen: (photoPaths) => ipcRenderer.invoke('set-photos-on-screen', photoPaths),
+    addToPlaylist: (photos) => ipcRenderer.invoke('add-to-playlist', photos),
+    removeFromPlaylist: (photoPaths) => ipcRenderer.invoke('remove-from-playlist', photoPaths),
+    clearPlaylist: () => ipcRenderer.invoke('clear-playlist'),
+    getNextPhoto: (pinnedPaths, repeatWindow) => ipcRenderer.invoke('get-next-photo', pinnedPaths, repeatWindow),
+    markPhotoShown: (photoPath, repeatWindow) => ipcRenderer.invoke('mark-photo-shown', photoPath, repeatWindow),
+    setWallStatus: (status) => ipcRenderer.invoke('set-wall-status', status),
+    onRemoteCommand: (callback) => ipcRenderer.on('remote-command', callback),
+    onScheduleChanged: (callback) => ipcRenderer.on('schedule-changed', callback),
+    getPhotoFlags: () => ipcRenderer.invoke('get-photo-flags'),
+    setPhotoFlags: (filePath, changes) => ipcRenderer.invoke('set-photo-flags', filePath, changes),
+    onPhotoFlagsChanged: (callback) => ipcRenderer.on('photo-flags-changed', callback),
+    openModerationWindow: () => ipcRenderer.invoke('open-moderation-window'),
+    getPendingPhotos: () => ipcRenderer.invoke('get-pending-photos'),
+    approvePhoto: (filePath) => ipcRenderer.invoke('approve-photo', filePath),
+    rejectPhoto: (filePath) => ipcRenderer.invoke('reject-photo', filePath),
+    onPendingPhotosUpdated: (callback) => ipcRenderer.on('pending-photos-updated', callback),
+    openSettingsWindow: (pin) => ipcRenderer.invoke('open-settings-window', pin),
+    getSettings: () => ipcRenderer.invoke('get-settings'),
+    saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
+    chooseFolder: () => ipcRenderer.invoke('choose-folder'),
+    chooseImageFile: () => ipcRenderer.invoke('choose-image-file'),
+    onSettingsChanged: (callback) => ipcRenderer.on('settings-changed', callback),
+    onQuitRequested: (callback) => ipcRenderer.on('quit-requested', callback),
+    confirmQuit: (pin) => ipcRenderer.invoke('confirm-quit', pin),
 });
@@ -0,0 +1,88 @@
+// QR codes for the corner panel, generated from the targets in config. A
+// target is a URL, plain text, a Wi-Fi network to join, the upload page or a
+// ready-made image; with several targets the wall rotates between them.
+
+const fs = require('fs');
+const QRCode = require('qrcode');
+
+const WIFI_SECURITY = ['WPA', 'WEP', 'nopass'];
+// the image is rendered larger than shown, so it stays sharp on high density screens
+const QR_RENDER_SCALE = 2;
+
+// the Wi-Fi QR format escapes its separators with a backslash
+function escapeWifiValue(value) {
+    return String(value).replace(/([\\;,:"])/g, '\\$1');
+}
+
+/**
+ * Returns the text encoded in the QR code of a Wi-Fi network, which phones
+ * offer to join when scanned.
+ */
+function getWifiContent({ ssid, password, security, hidden }) {
+    const type = password ? security || 'WPA' : 'nopass';
+    const fields = [`T:${type}`, `S:${escapeWifiValue(ssid)}`];
+    if (password) {
+        fields.push(`P:${escapeWifiValue(password)}`);
+    }
+    if (hidden) {
+        fields.push('H:true');
+    }
+    return `WIFI:${fields.join(';')};;`;
+}
+
+function getContent(target, uploadUrl) {
+    if (target.upload) {
+        if (!uploadUrl) {
+            console.warn('QRCode: The upload server is not running, skipping its QR code');
+        }
+        return uploadUrl;
+    }
+    if (target.wifi) {
+        return getWifiContent(target.wifi);
+    }
+    return target.url || target.text || null;
+}
+
+/**
+ * Renders the QR codes of the configured targets. Targets that cannot be
+ * shown, such as the upload page while the server is off, are left out.
+ *
+ * @param {Object} options - the `qrCodes` section of config
+ * @param {Object[]} options.targets - objects with one of `url`, `text`, `wifi`, `upload` or `image`, and an optional `label`
+ * @param {string} [uploadUrl] - address of the running upload server
+ * @returns {Promise<{ image: string, label: string }[]>} image URLs with the label shown below each
+ */
+async function createQrCodes(options, uploadUrl) {
+    const codes = [];
+    for (const target of options.targets) {
+        const label = target.label ?? options.label;
+
+        if (target.image) {
+            if (fs.existsSync(target.image)) {
+                codes.push({ image: `file:///${target.image.replace(/\\/g, '/')}`, label });
+            } else {
+                console.error('QRCode: Image does not exist:', target.image);
+            }
+            continue;
+        }
+
+        const content = getContent(target, uploadUrl);
+        if (!content) {
+            continue;
+        }
+        try {
+            const image = await QRCode.toDataURL(content, {
+                margin: 1,
+                width: options.size * QR_RENDER_SCALE,
+                errorCorrectionLevel: options.errorCorrection,
+                color: { dark: options.darkColor, light: options.lightColor }
+            });
+            codes.push({ image, label });
+        } catch (error) {
+            console.error('QRCode: Failed to generate QR code:', error);
+        }
+    }
+    return codes;
+}
+
+module.exports = { WIFI_SECURITY, createQrCodes, getWifiContent };
@@ -0,0 +1,212 @@
+const http = require('http');
+const crypto = require('crypto');
+const { WebSocket, WebSocketServer } = require('ws');
+
+const DEFAULT_OPTIONS = {
+    port: 8081
+};
+
+const MAX_BODY_SIZE = 16 * 1024;
+const LIVE_PATH = '/api/live';
+
+// fields each command needs in its JSON body, every command also takes an optional `wall`
+const COMMANDS = {
+    play: [],
+    pause: [],
+    next: [],
+    interval: ['seconds'],
+    folder: ['path'],
+    pin: ['path'],
+    unpin: ['path'],
+    favorite: ['path'],
+    unfavorite: ['path'],
+    hide: ['path'],
+    unhide: ['path']
+};
+
+function sendJson(res, statusCode, body) {
+    if (res.headersSent) {
+        return;
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error('Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            try {
+                resolve(text ? JSON.parse(text) : {});
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Lets a phone or tablet on the local network control the wall. Commands are
+ * POSTed to /api/<command>, GET /api/status returns the current state and a
+ * WebSocket on /api/live pushes it whenever it changes. Every request needs
+ * the token, as `Authorization: Bearer <token>` or `?token=<token>`.
+ */
+class RemoteControlServer {
+    /**
+     * @param {Object} options
+     * @param {number} [options.port] - port to listen on
+     * @param {string} options.token - secret shared with the remote
+     * @param {() => Object} options.getStatus - returns the state sent to remotes
+     * @param {(command: string, args: Object) => { success: boolean, message: string }} options.onCommand - runs a command
+     */
+    constructor(options) {
+        // options left undefined in config keep their defaults
+        const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+        this.options = { ...DEFAULT_OPTIONS, ...definedOptions };
+        this.tokenHash = hashToken(this.options.token);
+        this.server = null;
+        this.webSocketServer = null;
+        this.url = null;
+    }
+
+    start() {
+        if (this.server) {
+            return Promise.resolve(this.url);
+        }
+
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => {
+                this.handleRequest(req, res).catch((error) => {
+                    console.error('RemoteControl: Request failed:', req.url, error);
+                    sendJson(res, 500, { success: false, message: 'Request failed' });
+                });
+            });
+            this.webSocketServer = new WebSocketServer({ noServer: true });
+            server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+            server.once('error', reject);
+            server.listen(this.options.port, '0.0.0.0', () => {
+                server.removeListener('error', reject);
+                server.on('error', error => console.error('RemoteControl: Server error:', error));
+                this.server = server;
+                this.url = `http://localhost:${server.address().port}/api/`;
+                console.log('RemoteControl: Listening on port', server.address().port);
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        if (this.server) {
+            for (const client of this.webSocketServer.clients) {
+                client.terminate();
+            }
+            this.webSocketServer.close();
+            this.server.close();
+            this.server = null;
+            this.webSocketServer = null;
+            this.url = null;
+            console.log('RemoteControl: Stopped');
+        }
+    }
+
+    isAuthorized(req, url) {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : url.searchParams.get('token');
+        // compare hashes, so the comparison takes as long whatever the length of the guess
+        return Boolean(token) && crypto.timingSafeEqual(hashToken(token), this.tokenHash);
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (!this.isAuthorized(req, url)) {
+            console.warn('RemoteControl: Rejected request without a valid token from', req.socket.remoteAddress);
+            sendJson(res, 401, { success: false, message: 'Missing or wrong token' });
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/api/status') {
+            sendJson(res, 200, this.options.getStatus());
+            return;
+        }
+
+        const command = url.pathname.startsWith('/api/') ? url.pathname.slice('/api/'.length) : null;
+        if (req.method !== 'POST' || !Object.hasOwn(COMMANDS, command)) {
+            sendJson(res, 404, { success: false, message: 'Not found' });
+            return;
+        }
+
+        let args;
+        try {
+            args = await readJsonBody(req);
+        } catch (error) {
+            sendJson(res, 400, { success: false, message: error.message });
+            return;
+        }
+        // `null`, numbers and arrays are valid JSON, but not arguments
+        if (!args || typeof args !== 'object' || Array.isArray(args)) {
+            sendJson(res, 400, { success: false, message: 'Request body must be a JSON object' });
+            return;
+        }
+
+        const missing = COMMANDS[command].filter(field => args[field] === undefined);
+        if (missing.length > 0) {
+            sendJson(res, 400, { success: false, message: `Missing ${missing.join(', ')}` });
+            return;
+        }
+
+        try {
+            const result = await this.options.onCommand(command, args);
+            console.log('RemoteControl:', command, result.message);
+            sendJson(res, result.success ? 200 : 400, result);
+        } catch (error) {
+            console.error('RemoteControl: Command failed:', command, error);
+            sendJson(res, 500, { success: false, message: 'Command failed' });
+        }
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== LIVE_PATH || !this.isAuthorized(req, url)) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        this.webSocketServer.handleUpgrade(req, socket, head, (client) => {
+            client.on('error', error => console.warn('RemoteControl: WebSocket error:', error.message));
+            client.send(JSON.stringify(this.options.getStatus()));
+        });
+    }
+
+    /**
+     * Pushes the current status to every connected remote.
+     */
+    broadcast() {
+        if (!this.webSocketServer || this.webSocketServer.clients.size === 0) {
+            return;
+        }
+        const message = JSON.stringify(this.options.getStatus());
+        for (const client of this.webSocketServer.clients) {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(message);
+            }
+        }
+    }
+}
+
+module.exports = { RemoteControlServer };
@@ -1,12 +1,51 @@
 const CONSTANTS = {
     AUTO_HIDE_DELAY: 3000,
     HEIC_EXTENSIONS: ['.heic', '.heif'],
-    JPEG_QUALITY: 0.8,
+    VIDEO_EXTENSIONS: ['.mp4', '.m4v', '.mov', '.webm'],
+    VIDEO_POSTER_SIZE: 1280,
     MAX_RETRY_ATTEMPTS: 3,
+    RETRY_BASE_DELAY: 2000,
     CONVERSION_TIMEOUT: 30000,
     CACHE_SIZE_LIMIT: 200,
     VISIBLE_PHOTOS: 6,
     FADE_DELAY: 600,
+    STATE_SAVE_DELAY: 2000,
+    STATUS_REPORT_DELAY: 500,
+    SLOT_SELECTION_TIMEOUT: 10000,
+    VIDEO_LOAD_TIMEOUT: 15000,
+    PERCEPTUAL_HASH_SIZE: 8,
+};
+
+// Keyframes for the photo leaving a slot (exit) and the one replacing it (enter).
+// Sequential transitions finish the exit before the enter starts.
+const TRANSITIONS = {
+    fade: {
+        sequential: true,
+        exit: [{ opacity: 1 }, { opacity: 0 }],
+        enter: [{ opacity: 0 }, { opacity: 1 }]
+    },
+    crossfade: {
+        exit: [{ opacity: 1 }, { opacity: 0 }],
+        enter: [{ opacity: 0 }, { opacity: 1 }]
+    },
+    slide: {
+        exit: [{ transform: 'translateX(0)' }, { transform: 'translateX(-100%)' }],
+        enter: [{ transform: 'translateX(100%)' }, { transform: 'translateX(0)' }]
+    },
+    zoom: {
+        exit: [{ opacity: 1, transform: 'scale(1)' }, { opacity: 0, transform: 'scale(0.8)' }],
+        enter: [{ opacity: 0, transform: 'scale(1.2)' }, { opacity: 1, transform: 'scale(1)' }]
+    },
+    flip: {
+        sequential: true,
+        exit: [{ transform: 'perspective(1000px) rotateY(0deg)' }, { transform: 'perspective(1000px) rotateY(90deg)' }],
+        enter: [{ transform: 'perspective(1000px) rotateY(-90deg)' }, { transform: 'perspective(1000px) rotateY(0deg)' }]
+    },
+    kenburns: {
+        exit: [{ opacity: 1 }, { opacity: 0 }],
+        enter: [{ opacity: 0 }, { opacity: 1 }],
+        kenBurns: true
+    }
 };
 
 class PhotoCache {
@@ -14,6 +53,17 @@ class PhotoCache {
         this.queue = [];
         this.heicSupport = null;
         this.loadingPromises = new Map();
+        // the load in progress for each photo; cancelling marks only that load,
+        // so a later load of the same photo is not discarded with it
+        this.activeLoads = new Map();
+        this.retryTimers = new Map();
+        this.failedPhotos = new Set();
+        // photos in the folder when it was opened get no recency boost
+        this.initialPaths = new Set();
+        // flags the operator set, hidden photos are never loaded
+        this.hiddenPaths = new Set();
+        this.hiddenHashes = new Set();
+        this.favoritePaths = new Set();
     }
 
     async initialize() {
@@ -26,29 +76,40 @@ class PhotoCache {
         }
     }
 
-    getNextPhoto() {
-        const nextPhoto = this.queue.shift();
-        if (nextPhoto) {
-            this.reinsertPhoto(nextPhoto);
-        }
-        return nextPhoto?.url;
+    // main keeps one rotation for every wall and picks from the photos loaded here;
+    // pinned photos stay in the one slot they have
+    async getNextPhoto(pinnedPaths = []) {
+        const nextPath = await window.electronAPI.getNextPhoto([...pinnedPaths], CONSTANTS.VISIBLE_PHOTOS);
+        return nextPath ? this.queue.find(photo => photo.path === nextPath) : undefined;
     }
 
-    reinsertPhoto(photo) {
-        // we don't want to show the same photo twice, unless we don't have enough photos
-        if (this.queue.length < CONSTANTS.VISIBLE_PHOTOS) {
-            this.queue.push(photo);
-            return;
+    markShown(photoPath) {
+        window.electronAPI.markPhotoShown(photoPath, CONSTANTS.VISIBLE_PHOTOS)
+            .catch(error => console.error('PhotoCache: Failed to mark photo as shown:', error));
+    }
+
+    addToPlaylist(photo) {
+        window.electronAPI.addToPlaylist([photo])
+            .catch(error => console.error('PhotoCache: Failed to add photo to the rotation:', error));
+    }
+
+    removeFromPlaylist(photoPaths) {
+        if (photoPaths.length > 0) {
+            window.electronAPI.removeFromPlaylist(photoPaths)
+                .catch(error => console.error('PhotoCache: Failed to remove photos from the rotation:', error));
         }
-        
-        const minIndex = CONSTANTS.VISIBLE_PHOTOS;
-        const maxIndex = this.queue.length;
-        
-        // reinsert at a random index
-        const randomIndex = Math.floor(Math.random() * (maxIndex - minIndex + 1)) + minIndex;
-        this.queue.splice(randomIndex, 0, photo);
-        
-        console.log(`PhotoCache: Reinserted photo at index ${randomIndex} (${minIndex}-${maxIndex})`);
+    }
+
+    setFlags({ hidden, hiddenHashes = [], favorites }) {
+        this.hiddenPaths = new Set(hidden);
+        this.hiddenHashes = new Set(hiddenHashes);
+        this.favoritePaths = new Set(favorites);
+    }
+
+    // a copy of a hidden photo, which main leaves out of the rotation as well
+    isHiddenCopy(photoPath) {
+        const contentHash = this.queue.find(photo => photo.path === photoPath)?.metadata?.contentHash;
+        return Boolean(contentHash) && this.hiddenHashes.has(contentHash);
     }
 
     isHeicFile(filePath) {
@@ -56,22 +117,29 @@ class PhotoCache {
         return CONSTANTS.HEIC_EXTENSIONS.includes(extension);
     }
 
-    async refresh(newPhotoPaths) {
+    isVideoFile(filePath) {
+        const extension = '.' + filePath.toLowerCase().split('.').pop();
+        return CONSTANTS.VIDEO_EXTENSIONS.includes(extension);
+    }
+
+    async refresh(photoPaths) {
         const newQ = [];
+        const newPhotoPaths = photoPaths.filter(path => !this.hiddenPaths.has(path));
         const newPaths = new Set(newPhotoPaths);
         const currentPaths = new Set(this.queue.map(file => file.path));
+        const removedPaths = [];
 
         for (const curFile of this.queue) {
             if (!newPaths.has(curFile.path)) {
-                if (curFile.url.startsWith('blob:')) {
-                    console.log('PhotoCache: Revoking blob URL for deleted photo:', curFile.path, curFile.url);
-                    URL.revokeObjectURL(curFile.url);
-                }
+                this.revokePhotoUrl(curFile);
+                removedPaths.push(curFile.path);
                 console.log('PhotoCache: Removed from cache:', curFile.path);
             } else {
                 newQ.push(curFile);
             }
         }
+        this.removeFromPlaylist(removedPaths);
+        this.releaseDisplayImages(removedPaths);
 
         const newFiles = newPhotoPaths.filter(path => !currentPaths.has(path));
         if (newFiles.length > 0) {
@@ -80,73 +148,303 @@ class PhotoCache {
             this.preloadPhotos(newFiles);
         }
         this.queue = newQ;
+        this.initialPaths = newPaths;
+    }
+
+    hasPhoto(photoPath) {
+        return this.loadingPromises.has(photoPath) || this.retryTimers.has(photoPath) ||
+            this.queue.some(photo => photo.path === photoPath);
+    }
+
+    async waitForPhoto(photoPath) {
+        try {
+            await this.loadingPromises.get(photoPath);
+        } catch (error) {
+            return undefined;
+        }
+        return this.queue.find(photo => photo.path === photoPath);
+    }
+
+    cancelRetry(photoPath) {
+        clearTimeout(this.retryTimers.get(photoPath));
+        this.retryTimers.delete(photoPath);
+        this.failedPhotos.delete(photoPath);
     }
 
-    async preloadPhotos(photoPaths) {
+    revokePhotoUrl(photo) {
+        if (photo.url.startsWith('blob:')) {
+            console.log('PhotoCache: Revoking blob URL:', photo.path, photo.url);
+            URL.revokeObjectURL(photo.url);
+        }
+        if (photo.poster) {
+            URL.revokeObjectURL(photo.poster);
+        }
+    }
+
+    // main keeps the display images of cached photos, these it may delete again
+    releaseDisplayImages(photoPaths) {
+        if (photoPaths.length > 0) {
+            window.electronAPI.releaseDisplayImages(photoPaths);
+        }
+    }
+
+    addPhotos(photoPaths) {
+        const newFiles = photoPaths.filter(path => !this.hasPhoto(path) && !this.hiddenPaths.has(path));
+        if (newFiles.length > 0) {
+            console.log(`PhotoCache: Adding ${newFiles.length} new photos`);
+            this.preloadPhotos(newFiles);
+        }
+    }
+
+    removePhotos(photoPaths) {
+        const removedPaths = new Set(photoPaths);
+
+        const cancelledPaths = [];
+        for (const path of removedPaths) {
+            if (this.activeLoads.has(path)) {
+                this.activeLoads.get(path).cancelled = true;
+                cancelledPaths.push(path);
+            }
+            this.cancelRetry(path);
+        }
+        if (cancelledPaths.length > 0) {
+            window.electronAPI.cancelDisplayImages(cancelledPaths);
+        }
+
+        this.queue = this.queue.filter(photo => {
+            if (!removedPaths.has(photo.path)) {
+                return true;
+            }
+            this.revokePhotoUrl(photo);
+            console.log('PhotoCache: Removed from cache:', photo.path);
+            return false;
+        });
+        this.removeFromPlaylist([...removedPaths]);
+        this.releaseDisplayImages([...removedPaths]);
+    }
+
+    async reloadPhotos(photoPaths) {
+        for (const path of photoPaths) {
+            // a file that gave up loading gets a fresh set of attempts once it changes
+            if (this.failedPhotos.has(path)) {
+                this.failedPhotos.delete(path);
+                this.preloadPhotos([path]);
+                continue;
+            }
+
+            const cached = this.queue.find(photo => photo.path === path);
+            if (!cached) {
+                continue;
+            }
+
+            try {
+                // a version parameter bypasses Chromium's cache of the old file URL
+                const photo = await this.loadPhoto(path, Date.now());
+                this.revokePhotoUrl(cached);
+                Object.assign(cached, photo, { timestamp: Date.now() });
+                this.addToPlaylist({
+                    path,
+                    uploader: photo.metadata.uploader,
+                    contentHash: photo.metadata.contentHash,
+                    perceptualHash: photo.perceptualHash
+                });
+                console.log('PhotoCache: Reloaded changed photo:', path);
+            } catch (error) {
+                console.warn('PhotoCache: Failed to reload changed photo', path, error);
+            }
+        }
+    }
+
+    async preloadPhotos(photoPaths, attempt = 1) {
         for (const path of photoPaths) {
             this.loadPhotoToFrontOfQueue(path).catch(error => {
                 console.warn('PhotoCache: Background preload failed for', path, error);
+                this.scheduleRetry(path, attempt);
             });
         }
     }
 
+    scheduleRetry(photoPath, attempt) {
+        // a retry is already on its way
+        if (this.retryTimers.has(photoPath)) {
+            return;
+        }
+        if (attempt >= CONSTANTS.MAX_RETRY_ATTEMPTS) {
+            console.error(`PhotoCache: Giving up on ${photoPath} after ${attempt} attempts`);
+            this.failedPhotos.add(photoPath);
+            return;
+        }
+
+        // back off exponentially: 2s, 4s, 8s...
+        const delay = CONSTANTS.RETRY_BASE_DELAY * Math.pow(2, attempt - 1);
+        console.log(`PhotoCache: Retrying ${photoPath} in ${delay}ms (attempt ${attempt + 1})`);
+        this.retryTimers.set(photoPath, setTimeout(() => {
+            this.retryTimers.delete(photoPath);
+            this.preloadPhotos([photoPath], attempt + 1);
+        }, delay));
+    }
+
     async loadPhotoToFrontOfQueue(photoPath) {
         if (this.loadingPromises.has(photoPath)) {
             console.log('PhotoCache: Already loading, waiting for existing promise:', photoPath);
             return this.loadingPromises.get(photoPath);
         }
 
-        const loadPromise = this.loadPhoto(photoPath);
+        const load = { cancelled: false };
+        const loadPromise = this.loadPhoto(photoPath, undefined, load);
         this.loadingPromises.set(photoPath, loadPromise);
+        this.activeLoads.set(photoPath, load);
 
         try {
-            const url = await loadPromise;
-            console.log('PhotoCache: Finished loading:', photoPath, 'URL:', url);
-            this.queue.unshift({ path: photoPath, url: url, timestamp: Date.now() });
-            return url;
+            const photo = await loadPromise;
+            if (load.cancelled) {
+                console.log('PhotoCache: Discarding photo removed while loading:', photoPath);
+                this.revokePhotoUrl({ path: photoPath, ...photo });
+                // unless the photo is already loading again
+                if ([undefined, load].includes(this.activeLoads.get(photoPath))) {
+                    this.releaseDisplayImages([photoPath]);
+                }
+                return undefined;
+            }
+            console.log('PhotoCache: Finished loading:', photoPath, 'URL:', photo.url);
+            this.queue.unshift({ path: photoPath, ...photo, timestamp: Date.now() });
+            this.addToPlaylist({
+                path: photoPath,
+                uploader: photo.metadata.uploader,
+                initial: this.initialPaths.has(photoPath),
+                contentHash: photo.metadata.contentHash,
+                perceptualHash: photo.perceptualHash
+            });
+            return photo.url;
+        } catch (error) {
+            // a photo removed while loading does not need to be retried
+            if (load.cancelled) {
+                return undefined;
+            }
+            throw error;
         } finally {
-            this.loadingPromises.delete(photoPath);
+            // after a clear the path may already belong to a newer load
+            if (this.activeLoads.get(photoPath) === load) {
+                this.loadingPromises.delete(photoPath);
+                this.activeLoads.delete(photoPath);
+            }
         }
     }
 
-    async loadPhoto(photoPath) {
+    async loadPhoto(photoPath, version, load) {
+        if (this.isVideoFile(photoPath)) {
+            return this.loadVideo(photoPath, version);
+        }
+
         try {
-            let url;
+            let image;
             const isHeic = this.isHeicFile(photoPath);
+            const displayImage = await this.getDisplayImage(photoPath);
+
+            if (load?.cancelled) {
+                throw new Error('Load cancelled');
+            }
 
-            if (isHeic) {
+            if (displayImage) {
+                image = await this.loadRegularImage(displayImage.path, version);
+            } else if (isHeic) {
                 if (!this.heicSupport) {
                     throw new Error('HEIC support not available');
                 }
-                url = await this.loadHEICImage(photoPath);
+                image = await this.loadHEICImage(photoPath);
             } else {
-                url = await this.loadRegularImage(photoPath);
+                image = await this.loadRegularImage(photoPath, version);
             }
 
-            console.log('PhotoCache: Loaded', photoPath);
-            return url;
+            const metadata = await window.electronAPI.getImageMetadata(photoPath);
+            const perceptualHash = await this.getPerceptualHash(image.url);
+
+            console.log('PhotoCache: Loaded', photoPath, `${image.width}x${image.height}`, 'orientation', metadata.orientation);
+            // decoded dimensions are already upright, the decoders apply the orientation
+            return { ...image, orientation: metadata.orientation, metadata, perceptualHash, isHeic };
         } catch (error) {
             console.error('PhotoCache: Failed to load', photoPath, error);
             throw error;
         }
     }
 
-    async loadRegularImage(photoPath) {
+    async getDisplayImage(photoPath) {
+        // main keeps display-sized derivatives on disk, the originals are only a fallback
+        try {
+            return await window.electronAPI.getDisplayImage(photoPath);
+        } catch (error) {
+            console.warn('PhotoCache: No display image, loading original:', photoPath, error);
+            return null;
+        }
+    }
+
+    // difference hash: one bit per pixel of a tiny grayscale copy, set when the
+    // pixel is brighter than its right neighbour. Similar photos get hashes
+    // that differ in only a few bits.
+    async getPerceptualHash(url) {
+        const size = CONSTANTS.PERCEPTUAL_HASH_SIZE;
+        try {
+            const img = new Image();
+            img.src = url;
+            await img.decode();
+
+            // a single jump down to a few pixels samples only some of the photo,
+            // halving it step by step averages all of it
+            let source = img;
+            let width = img.naturalWidth;
+            let height = img.naturalHeight;
+            while (width > (size + 1) * 2 && height > size * 2) {
+                width = Math.ceil(width / 2);
+                height = Math.ceil(height / 2);
+                const step = document.createElement('canvas');
+                step.width = width;
+                step.height = height;
+                const stepContext = step.getContext('2d');
+                stepContext.imageSmoothingQuality = 'high';
+                stepContext.drawImage(source, 0, 0, width, height);
+                source = step;
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = size + 1;
+            canvas.height = size;
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.imageSmoothingQuality = 'high';
+            context.drawImage(source, 0, 0, canvas.width, canvas.height);
+            const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+            const brightness = (pixel) => data[pixel * 4] * 0.299 + data[pixel * 4 + 1] * 0.587 + data[pixel * 4 + 2] * 0.114;
+
+            let hash = '';
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x += 4) {
+                    let nibble = 0;
+                    for (let bit = 0; bit < 4; bit++) {
+                        const pixel = y * (size + 1) + x + bit;
+                        nibble = (nibble << 1) | (brightness(pixel) > brightness(pixel + 1) ? 1 : 0);
+                    }
+                    hash += nibble.toString(16);
+                }
+            }
+            return hash;
+        } catch (error) {
+            console.warn('PhotoCache: Could not compute perceptual hash:', url, error);
+            return null;
+        }
+    }
+
+    async loadRegularImage(photoPath, version) {
         return new Promise((resolve, reject) => {
             try {
                 // properly encode the file path for URL usage
-                const normalizedPath = photoPath.replace(/\\/g, '/');
-                const encodedPath = normalizedPath.split('/').map(encodeURIComponent).join('/');
-                const fileUrl = `file:///${encodedPath}`;
+                const fileUrl = this.toFileUrl(photoPath, version);
 
                 console.log('PhotoCache: Loading regular image:', photoPath);
-                console.log('PhotoCache: Normalized path:', normalizedPath);
                 console.log('PhotoCache: Encoded file URL:', fileUrl);
 
                 const img = new Image();
                 img.onload = () => {
                     console.log('PhotoCache: Regular image loaded successfully');
-                    resolve(fileUrl);
+                    resolve({ url: fileUrl, width: img.naturalWidth, height: img.naturalHeight });
                 };
                 img.onerror = (error) => {
                     console.error('PhotoCache: Failed to load regular image:', photoPath, error);
@@ -160,61 +458,99 @@ class PhotoCache {
         });
     }
 
-    async loadHEICImage(photoPath) {
-        try {
-            // properly encode the file path for URL usage
-            const normalizedPath = photoPath.replace(/\\/g, '/');
-            const encodedPath = normalizedPath.split('/').map(encodeURIComponent).join('/');
-            const fileUrl = `file:///${encodedPath}`;
+    toFileUrl(filePath, version) {
+        const normalizedPath = filePath.replace(/\\/g, '/');
+        const encodedPath = normalizedPath.split('/').map(encodeURIComponent).join('/');
+        return `file:///${encodedPath}${version ? `?v=${version}` : ''}`;
+    }
 
-            console.log('PhotoCache: Loading HEIC file:', photoPath);
-            console.log('PhotoCache: Normalized path:', normalizedPath);
-            console.log('PhotoCache: Encoded file URL:', fileUrl);
+    // resolves once the video fires `eventName` after `start`, rejects when it
+    // fails or a broken file keeps it waiting
+    waitForVideo(video, eventName, photoPath, start) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error(`Timed out loading video: ${photoPath}`));
+            }, CONSTANTS.VIDEO_LOAD_TIMEOUT);
+            video[`on${eventName}`] = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            video.onerror = () => {
+                clearTimeout(timer);
+                reject(new Error(`Failed to load video: ${photoPath}`));
+            };
+            start();
+        });
+    }
 
-            const response = await fetch(fileUrl);
+    async loadVideo(photoPath, version) {
+        const video = document.createElement('video');
+        try {
+            const fileUrl = this.toFileUrl(photoPath, version);
+            console.log('PhotoCache: Loading video:', photoPath);
 
-            if (!response.ok) {
-                throw new Error(`Failed to fetch HEIC file: ${response.status} ${response.statusText}`);
-            }
+            video.muted = true;
+            video.preload = 'auto';
+
+            await this.waitForVideo(video, 'loadeddata', photoPath, () => {
+                video.src = fileUrl;
+            });
 
-            const arrayBuffer = await response.arrayBuffer();
-            console.log('PhotoCache: HEIC file size:', arrayBuffer.byteLength, 'bytes');
+            // seek slightly past the start, the very first frame is often black
+            await this.waitForVideo(video, 'seeked', photoPath, () => {
+                video.currentTime = Math.min(0.1, video.duration || 0);
+            });
 
-            if (arrayBuffer.byteLength === 0) {
-                throw new Error('HEIC file is empty');
-            }
+            // the poster frame is shown while the clip buffers and after it stops
+            const scale = Math.min(1, CONSTANTS.VIDEO_POSTER_SIZE / Math.max(video.videoWidth, video.videoHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(video.videoWidth * scale);
+            canvas.height = Math.round(video.videoHeight * scale);
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+            const posterBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+            const poster = posterBlob ? URL.createObjectURL(posterBlob) : '';
+
+            const width = video.videoWidth;
+            const height = video.videoHeight;
+            const duration = video.duration;
+            video.removeAttribute('src');
+            video.load();
+
+            const metadata = await window.electronAPI.getImageMetadata(photoPath);
+            const perceptualHash = poster ? await this.getPerceptualHash(poster) : null;
+            console.log('PhotoCache: Loaded video', photoPath, `${width}x${height}`, `${duration}s`);
+            return { url: fileUrl, poster, width, height, duration, metadata, perceptualHash, isHeic: false, isVideo: true };
+        } catch (error) {
+            console.error('PhotoCache: Failed to load video', photoPath, error);
+            // stop a video that timed out from loading any further
+            video.onloadeddata = null;
+            video.onseeked = null;
+            video.onerror = null;
+            video.removeAttribute('src');
+            video.load();
+            throw error;
+        }
+    }
 
-            const uint8Array = new Uint8Array(arrayBuffer);
+    async loadHEICImage(photoPath) {
+        try {
+            console.log('PhotoCache: Loading HEIC file:', photoPath);
 
-            const result = await window.electronAPI.convertHeic(uint8Array);
+            // main reads and decodes the file off its main thread and returns a JPEG
+            const result = await window.electronAPI.convertHeic(photoPath);
 
             if (!result) {
                 throw new Error('No result from HEIC conversion');
             }
 
-            const { width, height, imageData } = result;
+            const { width, height, data } = result;
             console.log('PhotoCache: HEIC conversion successful, dimensions:', width, 'x', height);
 
-            const canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
-
-            const context = canvas.getContext('2d');
-            const canvasImageData = context.createImageData(width, height);
-
-            const uint8ClampedArray = new Uint8ClampedArray(imageData);
-            canvasImageData.data.set(uint8ClampedArray);
-
-            context.putImageData(canvasImageData, 0, 0);
-
-            const blob = await new Promise(resolve => {
-                canvas.toBlob(resolve, 'image/jpeg', CONSTANTS.JPEG_QUALITY);
-            });
-
+            const blob = new Blob([data], { type: 'image/jpeg' });
             const blobUrl = URL.createObjectURL(blob);
             console.log('PhotoCache: Created blob URL for HEIC:', blobUrl);
 
-            return blobUrl;
+            return { url: blobUrl, width, height };
         } catch (error) {
             console.error('PhotoCache: Error converting HEIC image:', photoPath, error);
             throw error;
@@ -224,21 +560,44 @@ class PhotoCache {
     clear() {
         console.log('PhotoCache: Clearing entire cache');
         // clean up all assigned blob URLs
-        for (const { path, url } of this.queue) {
-            if (url.startsWith('blob:')) {
-                console.log('PhotoCache: Clear - revoking blob URL:', path, url);
-                URL.revokeObjectURL(url);
-            }
+        for (const photo of this.queue) {
+            this.revokePhotoUrl(photo);
         }
+        this.releaseDisplayImages([...this.queue.map(photo => photo.path), ...this.loadingPromises.keys()]);
         this.queue = [];
+        window.electronAPI.clearPlaylist()
+            .catch(error => console.error('PhotoCache: Failed to clear the rotation:', error));
+        for (const load of this.activeLoads.values()) {
+            load.cancelled = true;
+        }
+        if (this.loadingPromises.size > 0) {
+            window.electronAPI.cancelDisplayImages([...this.loadingPromises.keys()]);
+        }
+        for (const timer of this.retryTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.retryTimers.clear();
+        this.failedPhotos.clear();
         this.loadingPromises.clear();
+        this.activeLoads.clear();
         console.log('PhotoCache: Cache cleared');
     }
 
+    // every photo of the wall, whether it has loaded yet or not
+    getPhotoCount() {
+        return this.queue.length + this.loadingPromises.size + this.retryTimers.size + this.failedPhotos.size;
+    }
+
     getCacheStats() {
         const total = this.queue.length;
         const heicCount = this.queue.filter(cached => cached.isHeic).length;
-        return { total, heicCount, loading: this.loadingPromises.size };
+        return {
+            total,
+            heicCount,
+            loading: this.loadingPromises.size,
+            retrying: this.retryTimers.size,
+            failed: this.failedPhotos.size
+        };
     }
 }
 
@@ -248,16 +607,168 @@ class PhotoSlideshow {
         this.isPlaying = false;
         this.slideInterval = null;
         this.currentFolder = '';
+        this.stateSaveTimer = null;
+        this.statusReportTimer = null;
+        // the slot the operator clicked, see highlightSlot
+        this.selectedSlot = null;
+        this.slotSelectionTimer = null;
+        // photos pinned on this wall, whether or not they are loaded yet
+        this.pinnedPaths = new Set();
+        // filled in by buildPhotoGrid, flags may change before the layout is loaded
+        this.slotPaths = [];
+        this.busySlots = new Set();
+        this.pinnedSlots = new Map();
+        this.isRestoringState = false;
+        // a blank screen or interlude from the schedule in main, see applySchedule
+        this.scheduledScreen = { blank: false, interlude: null };
+        this.resumeAfterSchedule = false;
+        this.interludeTimer = null;
+        this.interludePhotoPath = null;
+        // what the PIN dialog does once confirmed
+        this.pinAction = null;
         this.photoCache = new PhotoCache();
+        this.widgets = new OverlayWidgets();
+        this.qrRotationTimer = null;
+        // the configured interval last applied, see applyDisplayOptions
+        this.appliedConfigInterval = null;
+        this.displayOptions = {
+            video: { maxDuration: 30 },
+            kiosk: { enabled: false, pinRequired: false, hideCursor: false },
+            captions: { enabled: false, fields: [] },
+            transition: { name: 'crossfade', duration: CONSTANTS.FADE_DELAY }
+        };
 
         this.initializeElements();
         this.bindEvents();
         this.setupAutoHide();
         this.initializeCache();
         this.initializeQRCode();
+        this.layoutReady = this.initializeLayout();
         this.loadStartupFolder();
     }
 
+    // returns whether the grid was rebuilt, which leaves every slot empty
+    async initializeLayout() {
+        try {
+            this.displayOptions = await window.electronAPI.getDisplayOptions();
+            this.applyDisplayOptions();
+        } catch (error) {
+            console.error('Failed to load display options:', error);
+        }
+
+        let layout;
+        try {
+            layout = await window.electronAPI.getLayout();
+        } catch (error) {
+            console.error('Failed to load layout, using a single slot:', error);
+            layout = { columns: 1, rows: 1, slots: [{ column: 1, row: 1, columnSpan: 1, rowSpan: 1 }] };
+        }
+
+        const layoutKey = JSON.stringify(layout);
+        if (layoutKey === this.layoutKey) {
+            this.slotTransitions = layout.slots.map(slot => this.getTransition(slot.transition || this.displayOptions.transition.name));
+            return false;
+        }
+        this.layoutKey = layoutKey;
+        this.buildPhotoGrid(layout);
+        return true;
+    }
+
+    applyDisplayOptions() {
+        document.body.classList.toggle('hide-cursor', this.displayOptions.kiosk.hideCursor);
+        this.widgets.apply(this.displayOptions.widgets);
+
+        // settings reload on every re-layout, so a configured interval only replaces one picked
+        // on the wall or by remote when it is newly configured or its value changed
+        const { interval, intervalConfigured } = this.displayOptions;
+        const configuredInterval = intervalConfigured ? interval : null;
+        if (configuredInterval && configuredInterval !== this.appliedConfigInterval) {
+            this.setSlideInterval(configuredInterval);
+        }
+        this.appliedConfigInterval = configuredInterval;
+    }
+
+    setSlideInterval(interval) {
+        if (String(interval) === this.intervalSelect.value) {
+            return;
+        }
+        if (![...this.intervalSelect.options].some(option => option.value === String(interval))) {
+            this.intervalSelect.add(new Option(`${interval / 1000} seconds`, String(interval)));
+        }
+        this.intervalSelect.value = String(interval);
+        this.updateInterval();
+    }
+
+    async applySettings({ folder, sourcesChanged }) {
+        console.log('Applying changed settings');
+        const gridRebuilt = await this.initializeLayout();
+        this.initializeQRCode();
+
+        if (sourcesChanged) {
+            this.currentFolder = folder;
+            const photos = folder ? await window.electronAPI.getPhotos() : [];
+            await this.updatePhotoList(photos);
+            if (photos.length === 0) {
+                return;
+            }
+            this.enableControls();
+        } else if (!gridRebuilt) {
+            return;
+        }
+
+        for (let i = 0; i < CONSTANTS.VISIBLE_PHOTOS; i++) {
+            await this.nextPhoto();
+        }
+        this.restorePins();
+    }
+
+    buildPhotoGrid(layout) {
+        for (const element of this.imgs) {
+            if (element.tagName === 'VIDEO') {
+                element.pause();
+            }
+        }
+        this.photoGrid.style.gridTemplateColumns = `repeat(${layout.columns}, 1fr)`;
+        this.photoGrid.style.gridTemplateRows = `repeat(${layout.rows}, 1fr)`;
+
+        const wrappers = layout.slots.map((slot, index) => {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'photo-wrapper';
+            wrapper.style.gridColumn = `${slot.column} / span ${slot.columnSpan}`;
+            wrapper.style.gridRow = `${slot.row} / span ${slot.rowSpan}`;
+
+            const img = document.createElement('img');
+            img.id = `photo${index + 1}`;
+            img.className = 'photo';
+
+            const caption = document.createElement('div');
+            caption.className = 'photo-caption';
+
+            wrapper.append(img, caption);
+            return wrapper;
+        });
+
+        this.clearSlotHighlight();
+        this.photoGrid.replaceChildren(...wrappers);
+        this.slotWrappers = wrappers;
+        this.imgs = wrappers.map(wrapper => wrapper.querySelector('.photo'));
+        this.captions = wrappers.map(wrapper => wrapper.querySelector('.photo-caption'));
+        this.slotTransitions = layout.slots.map(slot => this.getTransition(slot.transition || this.displayOptions.transition.name));
+        // sequential enters still waiting for the exit before them, by slot
+        this.pendingEnters = this.imgs.map(() => null);
+        this.currentIndex = 0;
+        this.updateCount = 0;
+        this.slotUpdates = this.imgs.map(() => -1);
+        this.slotPaths = this.imgs.map(() => null);
+        this.reportPhotosOnScreen();
+        // slots playing a video are left alone until the clip is done
+        this.busySlots = new Set();
+        // photo paths pinned by the remote control, by slot
+        this.pinnedSlots = new Map();
+        CONSTANTS.VISIBLE_PHOTOS = this.imgs.length;
+        console.log(`Layout built with ${CONSTANTS.VISIBLE_PHOTOS} slots`);
+    }
+
     async initializeCache() {
         try {
             await this.photoCache.initialize();
@@ -267,9 +778,32 @@ class PhotoSlideshow {
     }
 
     async initializeQRCode() {
+        clearInterval(this.qrRotationTimer);
+        this.qrRotationTimer = null;
         try {
-            const qrCodePath = await window.electronAPI.getQRCodePath();
-            this.qrCodeImage.src = `file:///${qrCodePath.replace(/\\/g, '/')}`;
+            const qrCodes = await window.electronAPI.getQRCode();
+            if (!qrCodes) {
+                this.qrCodePanel.style.display = 'none';
+                return;
+            }
+
+            this.widgets.place(this.qrCodePanel, qrCodes.position);
+            this.qrCodeImage.style.width = `${qrCodes.size}px`;
+            this.qrCodeImage.style.height = `${qrCodes.size}px`;
+            this.qrCodeImage.style.background = qrCodes.background;
+
+            let index = 0;
+            const showNextCode = () => {
+                const code = qrCodes.codes[index];
+                this.qrCodeImage.src = code.image;
+                this.qrCodeLabel.textContent = code.label;
+                this.qrCodeLabel.style.display = code.label ? '' : 'none';
+                index = (index + 1) % qrCodes.codes.length;
+            };
+            showNextCode();
+            if (qrCodes.codes.length > 1) {
+                this.qrRotationTimer = setInterval(showNextCode, qrCodes.rotateSeconds * 1000);
+            }
             this.qrCodePanel.style.display = 'block';
             console.log('QR Code panel displayed successfully');
         } catch (error) {
@@ -280,38 +814,148 @@ class PhotoSlideshow {
 
     async loadStartupFolder() {
         try {
+            await this.layoutReady;
+            await this.loadPhotoFlags();
             const startupFolder = await window.electronAPI.getStartupFolder();
             if (startupFolder) {
                 console.log('Loading startup folder:', startupFolder);
                 this.showLoading(true);
 
-                const photos = await window.electronAPI.getPhotos(startupFolder);
+                this.currentFolder = startupFolder;
+                const state = await this.loadSavedState(startupFolder);
+                const photos = await window.electronAPI.getPhotos();
                 if (photos && photos.length > 0) {
-                    this.currentFolder = startupFolder;
-
                     await this.updatePhotoList(photos);
 
                     this.showLoading(false);
+                    // keep the saved state until the wall is back to where it was
+                    this.isRestoringState = Boolean(state);
                     for (let i = 0; i < CONSTANTS.VISIBLE_PHOTOS; i++) {
                         await new Promise(resolve => setTimeout(resolve, 1000));
-                        await this.nextPhoto();
+                        // put back what the slot showed before the restart, if it is still there
+                        const savedPath = state?.slots?.[i];
+                        const savedPhoto = savedPath && await this.photoCache.waitForPhoto(savedPath);
+                        if (savedPhoto) {
+                            // it is on screen again, so not due to be picked for another slot
+                            this.photoCache.markShown(savedPhoto.path);
+                            this.displayCachedPhoto(savedPhoto, i);
+                        } else {
+                            await this.nextPhoto();
+                        }
                     }
                     this.enableControls();
+                    this.restorePins();
+                    this.isRestoringState = false;
+                    this.scheduleStateSave();
+                    if (state?.isPlaying) {
+                        console.log('Resuming slideshow after restart');
+                        this.startSlideshow();
+                    } else if (this.displayOptions.autoplay) {
+                        this.startSlideshow();
+                    }
 
                     console.log(`Auto-loaded ${photos.length} photos from startup folder`);
                     console.log('Cache stats:', this.photoCache.getCacheStats());
                 } else {
                     console.warn('Startup folder exists but contains no photos:', startupFolder);
+                    this.showLoading(false);
+                    this.showWelcomeMessage();
                 }
             }
         } catch (error) {
             console.error('Failed to load startup folder:', error);
+            this.isRestoringState = false;
             this.showLoading(false);
         }
     }
 
+    async loadPhotoFlags() {
+        try {
+            const { hidden, hiddenHashes, favorites, pinned } = await window.electronAPI.getPhotoFlags();
+            this.photoCache.setFlags({ hidden, hiddenHashes, favorites });
+            this.pinnedPaths = new Set(pinned);
+        } catch (error) {
+            console.error('Failed to load photo flags:', error);
+        }
+    }
+
+    async loadSavedState(folder) {
+        let state;
+        try {
+            state = await window.electronAPI.getSlideshowState();
+        } catch (error) {
+            console.error('Failed to load slideshow state:', error);
+            return null;
+        }
+        if (!state || state.folder !== folder) {
+            return null;
+        }
+
+        // an interval from config, the command line or the environment wins over the saved one
+        if (!this.displayOptions.intervalConfigured &&
+            [...this.intervalSelect.options].some(option => option.value === String(state.interval))) {
+            this.intervalSelect.value = String(state.interval);
+        }
+        console.log('Restored slideshow state from', new Date(state.savedAt).toLocaleString());
+        return state;
+    }
+
+    scheduleStateSave() {
+        if (this.stateSaveTimer || this.isRestoringState) {
+            return;
+        }
+        this.stateSaveTimer = setTimeout(() => {
+            this.stateSaveTimer = null;
+            this.saveState();
+        }, CONSTANTS.STATE_SAVE_DELAY);
+    }
+
+    async saveState() {
+        if (!this.currentFolder) {
+            return;
+        }
+        try {
+            await window.electronAPI.saveSlideshowState({
+                folder: this.currentFolder,
+                interval: parseInt(this.intervalSelect.value),
+                // paused by the schedule counts as playing, it plays on after a restart
+                isPlaying: this.isPlaying || this.resumeAfterSchedule,
+                slots: this.slotPaths,
+                savedAt: Date.now()
+            });
+        } catch (error) {
+            console.error('Failed to save slideshow state:', error);
+        }
+    }
+
+    // the remote control shows what each wall is doing
+    scheduleStatusReport() {
+        if (this.statusReportTimer) {
+            return;
+        }
+        this.statusReportTimer = setTimeout(() => {
+            this.statusReportTimer = null;
+            this.widgets.setPhotoCount(this.photoCache.getPhotoCount());
+            window.electronAPI.setWallStatus({
+                folder: this.currentFolder,
+                isPlaying: this.isPlaying,
+                interval: parseInt(this.intervalSelect.value),
+                slots: this.slotPaths,
+                pinned: [...this.pinnedSlots.values()],
+                cache: this.photoCache.getCacheStats()
+            }).catch(error => console.error('Failed to report wall status:', error));
+        }, CONSTANTS.STATUS_REPORT_DELAY);
+    }
+
+    // other walls skip the photos shown here, reported right away so two walls rarely pick the same one
+    reportPhotosOnScreen() {
+        window.electronAPI.setPhotosOnScreen(this.slotPaths.filter(Boolean))
+            .catch(error => console.error('Failed to report photos on screen:', error));
+    }
+
     initializeElements() {
         this.selectFolderBtn = document.getElementById('selectFolderBtn');
+        this.settingsBtn = document.getElementById('settingsBtn');
         this.playPauseBtn = document.getElementById('playPauseBtn');
         this.nextBtn = document.getElementById('nextBtn');
         this.intervalSelect = document.getElementById('intervalSelect');
@@ -320,21 +964,49 @@ class PhotoSlideshow {
         this.photoGrid = document.getElementById('photoGrid');
         this.welcomeMessage = document.getElementById('welcomeMessage');
         this.loadingMessage = document.getElementById('loadingMessage');
-        this.imgs = [
-            document.getElementById('photo1'),
-            document.getElementById('photo2'),
-            document.getElementById('photo3'),
-            document.getElementById('photo4'),
-            document.getElementById('photo5'),
-            document.getElementById('photo6'),
-        ];
+        this.imgs = [];
+
+        this.pinDialog = document.getElementById('pinDialog');
+        this.pinDialogTitle = document.getElementById('pinDialogTitle');
+        this.pinInput = document.getElementById('pinInput');
+        this.pinError = document.getElementById('pinError');
+        this.pinCancelBtn = document.getElementById('pinCancelBtn');
+        this.pinConfirmBtn = document.getElementById('pinConfirmBtn');
+
+        this.slotToolbar = document.getElementById('slotToolbar');
+        this.pinSlotBtn = document.getElementById('pinSlotBtn');
+        this.favoriteSlotBtn = document.getElementById('favoriteSlotBtn');
+        this.hideSlotBtn = document.getElementById('hideSlotBtn');
 
         this.qrCodePanel = document.getElementById('qrCodePanel');
         this.qrCodeImage = document.getElementById('qrCodeImage');
+        this.qrCodeLabel = document.getElementById('qrCodeLabel');
+
+        this.scheduleOverlay = document.getElementById('scheduleOverlay');
+        this.interludeImage = document.getElementById('interludeImage');
     }
 
     bindEvents() {
         this.selectFolderBtn.addEventListener('click', () => this.selectFolder());
+        this.settingsBtn.addEventListener('click', () => this.openSettings());
+        this.pinCancelBtn.addEventListener('click', () => this.hidePinDialog());
+        this.pinConfirmBtn.addEventListener('click', () => this.confirmPinDialog());
+
+        // closing the window in kiosk mode asks for the PIN first
+        window.electronAPI.onQuitRequested((event, { pinRequired }) => {
+            this.showPinDialog('Quit tPhotowall?', pinRequired, pin => window.electronAPI.confirmQuit(pin));
+        });
+        this.photoGrid.addEventListener('click', (event) => {
+            const wrapper = event.target.closest('.photo-wrapper');
+            if (wrapper && !this.slotToolbar.contains(event.target)) {
+                this.highlightSlot(this.slotWrappers.indexOf(wrapper));
+            }
+        });
+        this.pinSlotBtn.addEventListener('click', () => this.toggleSlotFlag('pinned'));
+        this.favoriteSlotBtn.addEventListener('click', () => this.toggleSlotFlag('favorite'));
+        this.hideSlotBtn.addEventListener('click', () => this.toggleSlotFlag('hidden'));
+        window.electronAPI.onPhotoFlagsChanged((event, flags) => this.applyPhotoFlags(flags));
+
         this.playPauseBtn.addEventListener('click', () => this.togglePlayPause());
         this.nextBtn.addEventListener('click', () => this.nextPhoto());
 
@@ -342,9 +1014,42 @@ class PhotoSlideshow {
 
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
 
-        window.electronAPI.onPhotosUpdated(async (event, photos) => {
-            console.log('Photos updated:', photos.length);
-            await this.updatePhotoList(photos);
+        window.electronAPI.onPhotosAdded((event, photos) => {
+            console.log('Photos added:', photos.length);
+            this.photoCache.addPhotos(photos);
+            if (this.currentFolder) {
+                this.photoGrid.style.display = 'grid';
+                this.enableControls();
+            }
+            this.scheduleStatusReport();
+        });
+
+        window.electronAPI.onPhotosRemoved((event, photos) => {
+            console.log('Photos removed:', photos.length);
+            this.photoCache.removePhotos(photos);
+            this.unpinPhotos(photos);
+            this.scheduleStatusReport();
+            const stats = this.photoCache.getCacheStats();
+            if (stats.total === 0 && stats.loading === 0) {
+                this.disableControls();
+                this.showWelcomeMessage();
+            }
+        });
+
+        window.electronAPI.onPhotosChanged(async (event, photos) => {
+            console.log('Photos changed:', photos.length);
+            await this.photoCache.reloadPhotos(photos);
+        });
+
+        window.electronAPI.onRemoteCommand((event, command) => this.handleRemoteCommand(command));
+        window.electronAPI.onScheduleChanged((event, screen) => this.applySchedule(screen));
+
+        window.electronAPI.onSettingsChanged(async (event, change) => {
+            try {
+                await this.applySettings(change);
+            } catch (error) {
+                console.error('Failed to apply settings:', error);
+            }
         });
     }
 
@@ -368,12 +1073,15 @@ class PhotoSlideshow {
     async selectFolder() {
         try {
             this.showLoading(true);
+            await this.layoutReady;
             const result = await window.electronAPI.selectFolder();
+            this.currentFolder = result.folder;
             this.enableControls();
             await this.updatePhotoList(result.photos);
             for (let i = 0; i < CONSTANTS.VISIBLE_PHOTOS; i++) {
                 await this.nextPhoto();
             }
+            this.restorePins();
         } catch (error) {
             console.error('Error selecting folder:', error);
             alert('Error selecting folder. Please try again.');
@@ -387,42 +1095,245 @@ class PhotoSlideshow {
             this.disableControls();
             this.showWelcomeMessage();
             this.photoCache.clear();
+            this.scheduleStatusReport();
             return;
         }
 
         await this.photoCache.refresh(newPhotos);
-        this.photoGrid.style.display = 'flex';
+        this.photoGrid.style.display = 'grid';
         console.log('Cache stats after update:', this.photoCache.getCacheStats());
+        this.scheduleStatusReport();
+    }
+
+    isSlotFree(slotIndex) {
+        return !this.busySlots.has(slotIndex) && !this.pinnedSlots.has(slotIndex);
     }
 
-    displayCachedPhoto(imageUrl) {
+    selectSlot(photo) {
+        const slots = this.slotUpdates
+            .map((lastUpdate, index) => ({ index, lastUpdate }))
+            .filter(slot => this.isSlotFree(slot.index))
+            .sort((a, b) => a.lastUpdate - b.lastUpdate);
+        const stalest = slots[0];
+
+        // every slot must be refreshed at least once every two rounds, regardless of fit
+        if (this.updateCount - stalest.lastUpdate >= CONSTANTS.VISIBLE_PHOTOS * 2 || !photo.width || !photo.height) {
+            return stalest.index;
+        }
+
+        // otherwise choose among the least recently updated half the slot whose shape fits best
+        const photoAspect = photo.width / photo.height;
+        const candidates = slots.slice(0, Math.ceil(slots.length / 2));
+        let bestSlot = stalest;
+        let bestFit = Infinity;
+
+        for (const candidate of candidates) {
+            const wrapper = this.slotWrappers[candidate.index];
+            if (!wrapper.clientWidth || !wrapper.clientHeight) {
+                continue;
+            }
+            const fit = Math.abs(Math.log(photoAspect / (wrapper.clientWidth / wrapper.clientHeight)));
+            if (fit < bestFit) {
+                bestFit = fit;
+                bestSlot = candidate;
+            }
+        }
+        return bestSlot.index;
+    }
+
+    formatCaption(photo) {
+        const metadata = photo.metadata || {};
+        const parts = [];
+
+        for (const field of this.displayOptions.captions.fields) {
+            switch (field) {
+                case 'title':
+                case 'description':
+                case 'camera':
+                    if (metadata[field]) {
+                        parts.push(metadata[field]);
+                    }
+                    break;
+                case 'author':
+                    if (metadata.author) {
+                        parts.push(`Shared by ${metadata.author}`);
+                    }
+                    break;
+                case 'takenAt':
+                    if (metadata.takenAt) {
+                        parts.push(`Taken at ${new Date(metadata.takenAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}`);
+                    }
+                    break;
+            }
+        }
+        return parts.join(' · ');
+    }
+
+    getTransition(name) {
+        if (!TRANSITIONS[name]) {
+            console.warn('Unknown transition, using crossfade:', name);
+            return TRANSITIONS.crossfade;
+        }
+        return TRANSITIONS[name];
+    }
+
+    transitionSlot(slotIndex, nextImg, captionText) {
+        const wrapper = this.slotWrappers[slotIndex];
+        const caption = this.captions[slotIndex];
+        const previousImg = this.imgs[slotIndex];
+        const transition = this.slotTransitions[slotIndex];
+        const timing = {
+            duration: this.displayOptions.transition.duration,
+            easing: 'cubic-bezier(0.4, 0, 0.2, 1)',
+            fill: 'forwards'
+        };
+
+        // a photo whose enter was still waiting never showed, it is dropped and the
+        // photo before it keeps leaving
+        if (this.pendingEnters[slotIndex]) {
+            this.pendingEnters[slotIndex].cancelled = true;
+            this.pendingEnters[slotIndex] = null;
+        }
+
+        nextImg.className = 'photo';
+        this.imgs[slotIndex] = nextImg;
+
+        // the empty placeholder from buildPhotoGrid, or a dropped photo, has nothing to animate out
+        const exit = previousImg.isConnected && previousImg.getAttribute('src') ? previousImg.animate(transition.exit, timing) : null;
+        const exitFinished = exit ? exit.finished : Promise.resolve();
+        exitFinished.then(() => previousImg.remove(), () => previousImg.remove());
+
+        caption.style.opacity = '0';
+        setTimeout(() => {
+            caption.textContent = captionText;
+            caption.style.display = captionText ? 'block' : 'none';
+            caption.style.opacity = '1';
+        }, transition.sequential ? timing.duration : timing.duration / 2);
+
+        const pending = { cancelled: false };
+        const enter = () => {
+            if (pending.cancelled) {
+                return;
+            }
+            if (this.pendingEnters[slotIndex] === pending) {
+                this.pendingEnters[slotIndex] = null;
+            }
+            wrapper.insertBefore(nextImg, caption);
+            nextImg.animate(transition.enter, timing);
+            if (transition.kenBurns && nextImg.tagName === 'IMG') {
+                this.startKenBurns(nextImg);
+            }
+        };
+
+        if (transition.sequential && exit) {
+            this.pendingEnters[slotIndex] = pending;
+            exitFinished.then(enter, enter);
+        } else {
+            enter();
+        }
+    }
+
+    startKenBurns(img) {
+        // pan and zoom slowly for roughly as long as the photo stays in its slot
+        const duration = parseInt(this.intervalSelect.value) * CONSTANTS.VISIBLE_PHOTOS;
+        const panX = (Math.random() * 2 - 1) * 5;
+        const panY = (Math.random() * 2 - 1) * 5;
+        const zoomIn = Math.random() < 0.5;
+        const near = 'scale(1) translate(0, 0)';
+        const far = `scale(1.15) translate(${panX}%, ${panY}%)`;
+
+        img.animate([
+            { transform: zoomIn ? near : far },
+            { transform: zoomIn ? far : near }
+        ], { duration, easing: 'linear', fill: 'forwards' });
+    }
+
+    displayCachedPhoto(photo, slotIndex = this.selectSlot(photo)) {
+        const imageUrl = photo.url;
         console.log('Displaying cached photo:', imageUrl);
 
-        const currentImg = this.imgs[this.currentIndex];
-        
-        const testImg = new Image();
-        testImg.onload = () => {
+        const captionText = this.displayOptions.captions.enabled ? this.formatCaption(photo) : '';
+        this.slotUpdates[slotIndex] = this.updateCount++;
+        this.slotPaths[slotIndex] = photo.path;
+        this.currentIndex = slotIndex;
+        this.reportPhotosOnScreen();
+        this.scheduleStateSave();
+        this.scheduleStatusReport();
+        if (slotIndex === this.selectedSlot) {
+            this.updateSlotToolbar();
+        }
+
+        if (photo.isVideo) {
+            this.displayVideo(photo, slotIndex, captionText);
+            return;
+        }
+
+        // the preloaded image becomes the slot's new layer once it has decoded
+        const nextImg = new Image();
+        nextImg.onload = () => {
             console.log('Cached image loaded successfully');
             this.welcomeMessage.style.display = 'none';
-            
-            currentImg.style.opacity = '0';
-            
-            setTimeout(() => {
-                currentImg.src = imageUrl;
-                currentImg.style.display = 'block';
-                currentImg.style.opacity = '1';
-                
-                this.currentIndex = (this.currentIndex + 1) % CONSTANTS.VISIBLE_PHOTOS;
-            }, CONSTANTS.FADE_DELAY);
+            this.transitionSlot(slotIndex, nextImg, captionText);
         };
 
-        testImg.onerror = (error) => {
+        nextImg.onerror = (error) => {
             console.error('Failed to load cached image:', imageUrl, error);
             this.showErrorMessage('Failed to load cached image. Skipping to next photo.');
             this.nextPhoto();
         };
 
-        testImg.src = imageUrl;
+        nextImg.src = imageUrl;
+    }
+
+    displayVideo(photo, slotIndex, captionText) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.poster = photo.poster;
+        video.preload = 'auto';
+        // the grid may be rebuilt while the clip plays, release the slot in the grid it started in
+        const busySlots = this.busySlots;
+        busySlots.add(slotIndex);
+
+        let stopTimer = null;
+        const release = () => {
+            clearTimeout(stopTimer);
+            video.onended = null;
+            video.onerror = null;
+            // the last frame stays up until the slot is picked again
+            video.pause();
+            busySlots.delete(slotIndex);
+        };
+
+        video.onended = () => {
+            console.log('Video finished:', photo.path);
+            release();
+        };
+
+        video.onerror = (error) => {
+            console.error('Failed to play video:', photo.url, error);
+            release();
+            this.showErrorMessage('Failed to play video. Skipping to next photo.');
+            this.nextPhoto();
+        };
+
+        video.oncanplay = () => {
+            video.oncanplay = null;
+            video.play().catch(error => console.warn('Video playback was blocked:', photo.path, error));
+        };
+
+        // armed now rather than once the clip can play, so a clip that stalls while
+        // buffering, or never enters, still gives its slot back; it allows for a
+        // sequential transition before the clip starts
+        const maxDuration = this.displayOptions.video.maxDuration * 1000 + this.displayOptions.transition.duration;
+        stopTimer = setTimeout(() => {
+            console.log('Video reached the maximum duration:', photo.path);
+            release();
+        }, maxDuration);
+
+        video.src = photo.url;
+        this.welcomeMessage.style.display = 'none';
+        this.transitionSlot(slotIndex, video, captionText);
     }
 
     showErrorMessage(message) {
@@ -430,18 +1341,23 @@ class PhotoSlideshow {
     }
 
     async nextPhoto() {
-        const nextPhotoUrl = this.photoCache.getNextPhoto();
-        console.log('Updating photo display for:', this.currentIndex, nextPhotoUrl);
+        if (!this.imgs.some((img, index) => this.isSlotFree(index))) {
+            console.log('All slots are playing videos or pinned, skipping update');
+            return;
+        }
+
+        const nextPhoto = await this.photoCache.getNextPhoto(this.pinnedSlots.values());
+        console.log('Updating photo display for:', nextPhoto?.path);
 
-        if (!nextPhotoUrl) {
+        if (!nextPhoto) {
             console.warn('No more photos available');
             return;
         }
 
         try {
-            this.displayCachedPhoto(nextPhotoUrl);
+            this.displayCachedPhoto(nextPhoto);
         } catch (error) {
-            console.error('Failed to display photo:', nextPhotoUrl, error);
+            console.error('Failed to display photo:', nextPhoto.url, error);
             this.showErrorMessage('Failed to load photo. Skipping to next photo.');
             this.nextPhoto();
         }
@@ -456,6 +1372,12 @@ class PhotoSlideshow {
     }
 
     startSlideshow() {
+        // the schedule blanked the wall or shows an interlude, play once it is over
+        if (this.isTakenOver()) {
+            this.resumeAfterSchedule = true;
+            return;
+        }
+
         this.isPlaying = true;
         this.playPauseBtn.textContent = 'Pause';
         this.playPauseBtn.classList.add('playing');
@@ -472,6 +1394,8 @@ class PhotoSlideshow {
                 document.body.classList.add('auto-hide');
             }
         }, 3000);
+        this.scheduleStateSave();
+        this.scheduleStatusReport();
     }
 
     pauseSlideshow() {
@@ -487,6 +1411,8 @@ class PhotoSlideshow {
         }
 
         document.body.classList.remove('auto-hide');
+        this.scheduleStateSave();
+        this.scheduleStatusReport();
     }
 
     updateInterval() {
@@ -494,6 +1420,228 @@ class PhotoSlideshow {
             this.pauseSlideshow();
             this.startSlideshow();
         }
+        this.scheduleStateSave();
+        this.scheduleStatusReport();
+    }
+
+    handleRemoteCommand(command) {
+        console.log('Remote command:', command.name);
+        switch (command.name) {
+            case 'play':
+                if (!this.playPauseBtn.disabled && !this.isPlaying) {
+                    this.startSlideshow();
+                }
+                break;
+            case 'pause':
+                this.resumeAfterSchedule = false;
+                if (this.isPlaying) {
+                    this.pauseSlideshow();
+                }
+                break;
+            case 'next':
+                this.nextPhoto();
+                break;
+            case 'interval':
+                this.setSlideInterval(command.interval);
+                break;
+        }
+    }
+
+    isTakenOver() {
+        return this.scheduledScreen.blank || Boolean(this.scheduledScreen.interlude);
+    }
+
+    /**
+     * Blanks the wall or plays an interlude while the schedule in main says
+     * so. The slideshow pauses meanwhile and plays on once it is over.
+     */
+    applySchedule({ blank, interlude }) {
+        const wasTakenOver = this.isTakenOver();
+        if ((blank || interlude) && !wasTakenOver && this.isPlaying) {
+            this.pauseSlideshow();
+            this.resumeAfterSchedule = true;
+        }
+        this.scheduledScreen = { blank, interlude };
+
+        clearTimeout(this.interludeTimer);
+        this.interludeTimer = null;
+        this.interludeImage.removeAttribute('src');
+        this.releaseInterludePhoto();
+        this.scheduleOverlay.classList.toggle('blank', blank);
+        this.scheduleOverlay.style.display = this.isTakenOver() ? 'flex' : 'none';
+        if (interlude && !blank) {
+            this.showInterludePhoto(interlude, 0);
+        }
+
+        if (wasTakenOver && !this.isTakenOver() && this.resumeAfterSchedule) {
+            this.resumeAfterSchedule = false;
+            this.startSlideshow();
+        }
+        this.scheduleStatusReport();
+    }
+
+    releaseInterludePhoto() {
+        // the slideshow may show the same photo, it keeps it then
+        if (this.interludePhotoPath && !this.photoCache.hasPhoto(this.interludePhotoPath)) {
+            this.photoCache.releaseDisplayImages([this.interludePhotoPath]);
+        }
+        this.interludePhotoPath = null;
+    }
+
+    async showInterludePhoto(interlude, index) {
+        const photoPath = interlude.photos[index % interlude.photos.length];
+        const displayImage = await this.photoCache.getDisplayImage(photoPath);
+        // the interlude may have ended while the image was prepared
+        if (this.scheduledScreen.interlude !== interlude) {
+            return;
+        }
+        if (photoPath !== this.interludePhotoPath) {
+            this.releaseInterludePhoto();
+            this.interludePhotoPath = photoPath;
+        }
+        this.interludeImage.src = this.photoCache.toFileUrl(displayImage ? displayImage.path : photoPath);
+        if (interlude.photos.length > 1) {
+            this.interludeTimer = setTimeout(() => this.showInterludePhoto(interlude, index + 1), interlude.secondsPerPhoto * 1000);
+        }
+    }
+
+    /**
+     * Brings the wall in line with the flags saved in main, after they were
+     * changed here, on another wall or from the remote control.
+     */
+    applyPhotoFlags({ hidden, hiddenHashes, favorites, pinned }) {
+        const newlyHidden = hidden.filter(path => !this.photoCache.hiddenPaths.has(path));
+        this.photoCache.setFlags({ hidden, hiddenHashes, favorites });
+        for (const path of newlyHidden) {
+            this.hidePhoto(path);
+        }
+        // copies of a hidden photo leave the screen with it
+        this.replaceSlotsShowing(path => this.photoCache.isHiddenCopy(path));
+
+        const pinnedPaths = new Set(pinned);
+        this.unpinPhotos([...this.pinnedPaths].filter(path => !pinnedPaths.has(path)));
+        this.pinnedPaths = pinnedPaths;
+        this.restorePins();
+        this.updateSlotToolbar();
+    }
+
+    // pins photos that are not on the wall yet, e.g. once they have loaded
+    restorePins() {
+        const pinnedNow = new Set(this.pinnedSlots.values());
+        for (const path of this.pinnedPaths) {
+            if (!pinnedNow.has(path)) {
+                this.pinPhoto(path);
+            }
+        }
+    }
+
+    async pinPhoto(photoPath) {
+        const photo = await this.photoCache.waitForPhoto(photoPath);
+        if (!photo) {
+            console.warn('Cannot pin a photo that is not loaded:', photoPath);
+            return;
+        }
+
+        let slotIndex = this.slotPaths.indexOf(photoPath);
+        if (slotIndex === -1) {
+            if (!this.imgs.some((img, index) => this.isSlotFree(index))) {
+                console.warn('No free slot to pin the photo in:', photoPath);
+                return;
+            }
+            slotIndex = this.selectSlot(photo);
+            this.displayCachedPhoto(photo, slotIndex);
+        }
+        this.pinnedSlots.set(slotIndex, photoPath);
+        this.scheduleStatusReport();
+    }
+
+    unpinPhotos(photoPaths) {
+        for (const [slotIndex, pinnedPath] of this.pinnedSlots) {
+            if (photoPaths.includes(pinnedPath)) {
+                this.pinnedSlots.delete(slotIndex);
+            }
+        }
+        this.scheduleStatusReport();
+    }
+
+    highlightSlot(slotIndex) {
+        if (!this.slotPaths[slotIndex]) {
+            this.clearSlotHighlight();
+            return;
+        }
+
+        this.slotWrappers.forEach((wrapper, index) => wrapper.classList.toggle('selected', index === slotIndex));
+        this.selectedSlot = slotIndex;
+        this.slotWrappers[slotIndex].append(this.slotToolbar);
+        this.slotToolbar.style.display = 'flex';
+        this.updateSlotToolbar();
+
+        // the toolbar should not stay on the wall once the operator walked away
+        clearTimeout(this.slotSelectionTimer);
+        this.slotSelectionTimer = setTimeout(() => this.clearSlotHighlight(), CONSTANTS.SLOT_SELECTION_TIMEOUT);
+    }
+
+    clearSlotHighlight() {
+        clearTimeout(this.slotSelectionTimer);
+        this.slotSelectionTimer = null;
+        this.selectedSlot = null;
+        this.slotToolbar.style.display = 'none';
+        for (const wrapper of this.slotWrappers || []) {
+            wrapper.classList.remove('selected');
+        }
+    }
+
+    updateSlotToolbar() {
+        if (this.selectedSlot === null) {
+            return;
+        }
+        const photoPath = this.slotPaths[this.selectedSlot];
+        this.pinSlotBtn.textContent = this.pinnedSlots.has(this.selectedSlot) ? 'Unpin' : 'Pin';
+        this.favoriteSlotBtn.textContent = this.photoCache.favoritePaths.has(photoPath) ? '★ Favorite' : '☆ Favorite';
+    }
+
+    async toggleSlotFlag(flag) {
+        const slotIndex = this.selectedSlot;
+        const photoPath = slotIndex === null ? null : this.slotPaths[slotIndex];
+        if (!photoPath) {
+            return;
+        }
+
+        const changes = {
+            pinned: { pinned: !this.pinnedSlots.has(slotIndex) },
+            favorite: { favorite: !this.photoCache.favoritePaths.has(photoPath) },
+            hidden: { hidden: true }
+        }[flag];
+        if (flag === 'hidden') {
+            this.clearSlotHighlight();
+        } else {
+            this.highlightSlot(slotIndex);
+        }
+
+        try {
+            // saved in main, which sends the new flags back to every wall
+            await window.electronAPI.setPhotoFlags(photoPath, changes);
+        } catch (error) {
+            console.error('Failed to change photo flags:', error);
+        }
+    }
+
+    hidePhoto(photoPath) {
+        this.unpinPhotos([photoPath]);
+        this.photoCache.removePhotos([photoPath]);
+        this.replaceSlotsShowing(slotPath => slotPath === photoPath);
+    }
+
+    // takes photos off the screen right away instead of waiting for their slot to come up
+    async replaceSlotsShowing(matches) {
+        const slots = this.slotPaths.map((slotPath, slotIndex) => ({ slotPath, slotIndex }))
+            .filter(({ slotPath }) => slotPath && matches(slotPath));
+        for (const { slotIndex } of slots) {
+            const nextPhoto = await this.photoCache.getNextPhoto(this.pinnedSlots.values());
+            if (nextPhoto) {
+                this.displayCachedPhoto(nextPhoto, slotIndex);
+            }
+        }
     }
 
     enableControls() {
@@ -521,6 +1669,18 @@ class PhotoSlideshow {
     }
 
     handleKeyboard(event) {
+        if (this.pinDialog.style.display !== 'none') {
+            if (event.code === 'Escape') {
+                event.preventDefault();
+                this.hidePinDialog();
+            } else if (event.code === 'Enter' || event.code === 'NumpadEnter') {
+                // also stops Enter from clicking the focused button a second time
+                event.preventDefault();
+                this.confirmPinDialog();
+            }
+            return;
+        }
+
         switch (event.code) {
             case 'Space':
                 event.preventDefault();
@@ -536,6 +1696,89 @@ class PhotoSlideshow {
                     this.selectFolder();
                 }
                 break;
+            case 'KeyM':
+                if (event.ctrlKey) {
+                    event.preventDefault();
+                    window.electronAPI.openModerationWindow();
+                }
+                break;
+            case 'Comma':
+                if (event.ctrlKey) {
+                    event.preventDefault();
+                    this.openSettings();
+                }
+                break;
+            case 'KeyQ':
+                if (event.ctrlKey) {
+                    event.preventDefault();
+                    window.close();
+                }
+                break;
+            case 'Escape':
+                this.clearSlotHighlight();
+                break;
+            case 'KeyP':
+            case 'KeyS':
+            case 'KeyH':
+                // pin, star or hide the photo in the selected slot
+                if (this.selectedSlot !== null && !event.ctrlKey) {
+                    event.preventDefault();
+                    this.toggleSlotFlag({ KeyP: 'pinned', KeyS: 'favorite', KeyH: 'hidden' }[event.code]);
+                }
+                break;
+            default:
+                // number keys select a slot, like clicking it
+                if (/^Digit[1-9]$/.test(event.code) && !event.ctrlKey) {
+                    this.highlightSlot(Number(event.code.slice('Digit'.length)) - 1);
+                }
+                break;
+        }
+    }
+
+    openSettings() {
+        const { enabled, pinRequired } = this.displayOptions.kiosk;
+        if (enabled && pinRequired) {
+            this.showPinDialog('Open settings', true, pin => window.electronAPI.openSettingsWindow(pin));
+        } else {
+            window.electronAPI.openSettingsWindow();
+        }
+    }
+
+    showPinDialog(title, pinRequired, action) {
+        this.pinAction = action;
+        this.pinDialogTitle.textContent = title;
+        this.pinInput.value = '';
+        this.pinInput.style.display = pinRequired ? 'block' : 'none';
+        this.pinError.textContent = '';
+        this.pinDialog.style.display = 'flex';
+        if (pinRequired) {
+            this.pinInput.focus();
+        } else {
+            this.pinConfirmBtn.focus();
+        }
+    }
+
+    hidePinDialog() {
+        this.pinDialog.style.display = 'none';
+        this.pinAction = null;
+    }
+
+    async confirmPinDialog() {
+        if (!this.pinAction) {
+            return;
+        }
+        try {
+            const result = await this.pinAction(this.pinInput.value);
+            if (result.success) {
+                this.hidePinDialog();
+                return;
+            }
+            this.pinError.textContent = result.message;
+            this.pinInput.value = '';
+            this.pinInput.focus();
+        } catch (error) {
+            console.error('PIN action failed:', error);
+            this.pinError.textContent = 'Something went wrong, please try again.';
         }
     }
 
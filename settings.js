@@ -0,0 +1,174 @@
+class SettingsPanel {
+    constructor() {
+        this.sources = [];
+        // an inline layout from config.json cannot be edited here and is kept as is
+        this.inlineLayout = null;
+        this.pinSet = false;
+
+        this.initializeElements();
+        this.bindEvents();
+        this.load();
+    }
+
+    initializeElements() {
+        this.form = document.getElementById('settingsForm');
+        this.saveBtn = document.getElementById('saveBtn');
+        this.saveStatus = document.getElementById('saveStatus');
+        this.sourceList = document.getElementById('sourceList');
+        this.addFolderBtn = document.getElementById('addFolderBtn');
+        this.intervalInput = document.getElementById('intervalInput');
+        this.layoutInput = document.getElementById('layoutInput');
+        this.layoutOptions = document.getElementById('layoutOptions');
+        this.transitionSelect = document.getElementById('transitionSelect');
+        this.transitionDurationInput = document.getElementById('transitionDurationInput');
+        this.qrCodeInput = document.getElementById('qrCodeInput');
+        this.chooseQrCodeBtn = document.getElementById('chooseQrCodeBtn');
+        this.clearQrCodeBtn = document.getElementById('clearQrCodeBtn');
+        this.kioskCheckbox = document.getElementById('kioskCheckbox');
+        this.displaySelect = document.getElementById('displaySelect');
+        this.pinInput = document.getElementById('pinInput');
+        this.removePinLabel = document.getElementById('removePinLabel');
+        this.removePinCheckbox = document.getElementById('removePinCheckbox');
+        this.fullscreenCheckbox = document.getElementById('fullscreenCheckbox');
+        this.hideCursorCheckbox = document.getElementById('hideCursorCheckbox');
+    }
+
+    bindEvents() {
+        this.saveBtn.addEventListener('click', () => this.save());
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+        this.addFolderBtn.addEventListener('click', () => this.addFolder());
+        this.chooseQrCodeBtn.addEventListener('click', () => this.chooseQrCode());
+        this.clearQrCodeBtn.addEventListener('click', () => {
+            this.qrCodeInput.value = '';
+        });
+    }
+
+    async load() {
+        try {
+            const { settings, displays, layouts, transitions } = await window.electronAPI.getSettings();
+
+            this.layoutOptions.replaceChildren(...layouts.map(name => new Option(name, name)));
+            this.transitionSelect.replaceChildren(...transitions.map(name => new Option(name, name)));
+            this.displaySelect.replaceChildren(
+                new Option('Primary display', ''),
+                ...displays.map(display => new Option(display.label, String(display.index)))
+            );
+
+            this.sources = [...settings.sources];
+            this.renderSources();
+            this.intervalInput.value = settings.intervalSeconds;
+            if (typeof settings.layout === 'object') {
+                this.inlineLayout = settings.layout;
+                this.layoutInput.value = '';
+                this.layoutInput.placeholder = 'Custom layout from config.json';
+            } else {
+                this.layoutInput.value = settings.layout;
+            }
+            this.transitionSelect.value = settings.transition;
+            this.transitionDurationInput.value = settings.transitionDuration;
+            this.qrCodeInput.value = settings.qrCode;
+            this.kioskCheckbox.checked = settings.kiosk.enabled;
+            this.displaySelect.value = settings.kiosk.display === undefined ? '' : String(settings.kiosk.display);
+            this.showPinSet(settings.kiosk.pinSet);
+            this.fullscreenCheckbox.checked = settings.kiosk.fullscreen;
+            this.hideCursorCheckbox.checked = settings.kiosk.hideCursor;
+        } catch (error) {
+            console.error('Settings: Failed to load settings:', error);
+            this.saveStatus.textContent = 'Failed to load settings';
+        }
+    }
+
+    renderSources() {
+        this.sourceList.replaceChildren(...this.sources.map((source, index) => {
+            const item = document.createElement('li');
+            item.className = 'settings-list-item';
+
+            const name = document.createElement('span');
+            name.className = 'settings-path';
+            name.textContent = typeof source === 'string' ? source : source.path;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                this.sources.splice(index, 1);
+                this.renderSources();
+            });
+
+            item.append(name, removeBtn);
+            return item;
+        }));
+    }
+
+    async addFolder() {
+        const folder = await window.electronAPI.chooseFolder();
+        if (folder && !this.sources.some(source => (typeof source === 'string' ? source : source.path) === folder)) {
+            this.sources.push(folder);
+            this.renderSources();
+        }
+    }
+
+    async chooseQrCode() {
+        const file = await window.electronAPI.chooseImageFile();
+        if (file) {
+            this.qrCodeInput.value = file;
+        }
+    }
+
+    showErrors(errors = {}) {
+        for (const element of document.querySelectorAll('.settings-error')) {
+            element.textContent = errors[element.dataset.field] || '';
+        }
+    }
+
+    // the PIN itself is never shown, only whether one is set
+    showPinSet(pinSet) {
+        this.pinSet = pinSet;
+        this.pinInput.value = '';
+        this.pinInput.placeholder = pinSet ? 'A PIN is set, type a new one to change it' : '';
+        this.removePinCheckbox.checked = false;
+        this.removePinLabel.style.display = pinSet ? '' : 'none';
+    }
+
+    async save() {
+        this.saveBtn.disabled = true;
+        this.saveStatus.textContent = 'Saving...';
+
+        try {
+            const result = await window.electronAPI.saveSettings({
+                sources: this.sources,
+                intervalSeconds: parseFloat(this.intervalInput.value),
+                layout: this.layoutInput.value.trim() || this.inlineLayout || undefined,
+                transition: this.transitionSelect.value,
+                transitionDuration: parseFloat(this.transitionDurationInput.value),
+                qrCode: this.qrCodeInput.value,
+                kiosk: {
+                    enabled: this.kioskCheckbox.checked,
+                    display: this.displaySelect.value === '' ? undefined : parseInt(this.displaySelect.value),
+                    pin: this.pinInput.value,
+                    removePin: this.removePinCheckbox.checked,
+                    fullscreen: this.fullscreenCheckbox.checked,
+                    hideCursor: this.hideCursorCheckbox.checked
+                }
+            });
+            this.showErrors(result.errors);
+            this.saveStatus.textContent = result.message;
+            if (result.success) {
+                this.showPinSet(Boolean(this.pinInput.value) || (this.pinSet && !this.removePinCheckbox.checked));
+            }
+        } catch (error) {
+            console.error('Settings: Failed to save settings:', error);
+            this.saveStatus.textContent = 'Failed to save settings';
+        } finally {
+            this.saveBtn.disabled = false;
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new SettingsPanel();
+});
@@ -0,0 +1,374 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { PlaylistScheduler, hammingDistance } = require('../playlistScheduler');
+
+const MINUTE = 60 * 1000;
+// perceptual hashes: NEAR is 4 bits from BASE, FAR is 8 bits from BASE and 4 from NEAR
+const BASE = '0000000000000000';
+const NEAR = '000000000000000f';
+const FAR = '00000000000000ff';
+const OTHER = 'ffffffffffffffff';
+
+// a clock the tests move by hand
+function createClock(start = 1000000) {
+    const clock = () => clock.time;
+    clock.time = start;
+    clock.advance = (ms) => {
+        clock.time += ms;
+    };
+    return clock;
+}
+
+// a repeatable random number source
+function createRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+function countShows(scheduler, count, repeatWindow = 0) {
+    const shows = new Map();
+    for (let i = 0; i < count; i++) {
+        const path = scheduler.next(repeatWindow);
+        shows.set(path, (shows.get(path) || 0) + 1);
+    }
+    return shows;
+}
+
+describe('PlaylistScheduler', () => {
+    describe('next', () => {
+        it('returns null for an empty rotation', () => {
+            assert.strictEqual(new PlaylistScheduler().next(), null);
+        });
+
+        it('shows every photo once per cycle when shuffling', () => {
+            const scheduler = new PlaylistScheduler({ recencyBoost: 0 }, createClock(), createRandom());
+            for (const path of ['/a.jpg', '/b.jpg', '/c.jpg', '/d.jpg']) {
+                scheduler.add(path, { initial: true });
+            }
+            const firstCycle = new Set([1, 2, 3, 4].map(() => scheduler.next()));
+            assert.strictEqual(firstCycle.size, 4);
+        });
+
+        it('skips the photos in the repeat window and the excluded ones', () => {
+            const scheduler = new PlaylistScheduler({ shuffle: false }, createClock(), createRandom());
+            for (const path of ['/a.jpg', '/b.jpg', '/c.jpg']) {
+                scheduler.add(path, { initial: true });
+            }
+            for (let i = 0; i < 20; i++) {
+                const previous = scheduler.recent[scheduler.recent.length - 1];
+                const path = scheduler.next(1, new Set(['/c.jpg']));
+                assert.notStrictEqual(path, '/c.jpg');
+                assert.notStrictEqual(path, previous);
+            }
+        });
+
+        it('keeps the copies of a hidden photo out after the original is removed', () => {
+            const scheduler = new PlaylistScheduler({}, createClock(), createRandom());
+            scheduler.add('/a.jpg', { initial: true, contentHash: 'same' });
+            scheduler.add('/copy.jpg', { initial: true, contentHash: 'same' });
+            scheduler.add('/b.jpg', { initial: true, contentHash: 'other' });
+            scheduler.setHiddenHashes(['same']);
+            scheduler.remove('/a.jpg');
+            const shows = countShows(scheduler, 20);
+            assert.deepStrictEqual([...shows.keys()], ['/b.jpg']);
+
+            scheduler.remove('/b.jpg');
+            assert.strictEqual(scheduler.next(), null);
+        });
+
+        it('never shows an exact copy on its own', () => {
+            const scheduler = new PlaylistScheduler({}, createClock(), createRandom());
+            scheduler.add('/a.jpg', { initial: true, contentHash: 'same' });
+            scheduler.add('/copy.jpg', { initial: true, contentHash: 'same' });
+            scheduler.add('/b.jpg', { initial: true, contentHash: 'other' });
+            const shows = countShows(scheduler, 20);
+            assert.strictEqual(shows.has('/copy.jpg'), false);
+        });
+    });
+
+    describe('shared between walls', () => {
+        it('only picks the photos a wall can show', () => {
+            const scheduler = new PlaylistScheduler({}, createClock(), createRandom());
+            for (const path of ['/one/a.jpg', '/one/b.jpg', '/two/c.jpg']) {
+                scheduler.add(path, { initial: true });
+            }
+            const wallOne = new Set(['/one/a.jpg', '/one/b.jpg']);
+            for (let i = 0; i < 20; i++) {
+                assert.ok(wallOne.has(scheduler.next(1, new Set(), wallOne)));
+            }
+            // even when everything it has is excluded
+            assert.strictEqual(scheduler.next(0, new Set(['/one/a.jpg', '/one/b.jpg']), new Set(['/one/a.jpg'])), '/one/a.jpg');
+            assert.strictEqual(scheduler.next(0, new Set(), new Set()), null);
+        });
+
+        it('takes turns within a group using the members a wall has', () => {
+            const scheduler = new PlaylistScheduler({}, createClock(), createRandom());
+            scheduler.add('/one/a.jpg', { initial: true, perceptualHash: BASE });
+            scheduler.add('/two/b.jpg', { initial: true, perceptualHash: NEAR });
+            assert.strictEqual(scheduler.next(0, new Set(), new Set(['/two/b.jpg'])), '/two/b.jpg');
+            assert.strictEqual(scheduler.next(0, new Set(), new Set(['/two/b.jpg'])), '/two/b.jpg');
+        });
+    });
+
+    describe('near-duplicates', () => {
+        function getGroups(scheduler) {
+            return scheduler.getDuplicateGroups().similar.map(members => members.sort());
+        }
+
+        it('takes turns showing the photos of a group', () => {
+            const scheduler = new PlaylistScheduler({ recencyBoost: 0 }, createClock(), createRandom());
+            scheduler.add('/a.jpg', { initial: true, perceptualHash: BASE });
+            scheduler.add('/b.jpg', { initial: true, perceptualHash: NEAR });
+            scheduler.add('/other.jpg', { initial: true, perceptualHash: OTHER });
+            assert.deepStrictEqual(getGroups(scheduler), [['/a.jpg', '/b.jpg']]);
+
+            const groupShows = [];
+            for (let i = 0; i < 40; i++) {
+                const path = scheduler.next();
+                if (path !== '/other.jpg') {
+                    groupShows.push(path);
+                }
+            }
+            // the member shown least is up next, so the group alternates
+            for (let i = 1; i < groupShows.length; i++) {
+                assert.notStrictEqual(groupShows[i], groupShows[i - 1]);
+            }
+        });
+
+        it('moves the turn to the photo shown least', () => {
+            const clock = createClock();
+            const scheduler = new PlaylistScheduler({}, clock, createRandom());
+            scheduler.add('/a.jpg', { initial: true, perceptualHash: BASE });
+            clock.advance(MINUTE);
+            scheduler.add('/b.jpg', { initial: true, perceptualHash: NEAR });
+            // between photos shown equally often, the older one goes first
+            assert.deepStrictEqual([...scheduler.getRepresentatives()], ['/a.jpg']);
+            scheduler.entries.get('/a.jpg').showCount = 1;
+            assert.deepStrictEqual([...scheduler.getRepresentatives()], ['/b.jpg']);
+        });
+
+        it('merges two groups when a photo is close to both', () => {
+            const scheduler = new PlaylistScheduler({}, createClock(), createRandom());
+            scheduler.add('/a.jpg', { initial: true, perceptualHash: BASE });
+            scheduler.add('/a2.jpg', { initial: true, perceptualHash: '0000000000000001' });
+            scheduler.add('/c.jpg', { initial: true, perceptualHash: FAR });
+            scheduler.add('/c2.jpg', { initial: true, perceptualHash: '00000000000001ff' });
+            assert.strictEqual(getGroups(scheduler).length, 2);
+
+            scheduler.add('/b.jpg', { initial: true, perceptualHash: NEAR });
+            assert.deepStrictEqual(getGroups(scheduler), [['/a.jpg', '/a2.jpg', '/b.jpg', '/c.jpg', '/c2.jpg']]);
+            const groupIds = new Set([...scheduler.entries.values()].map(entry => entry.similarGroup));
+            assert.strictEqual(groupIds.size, 1);
+        });
+
+        it('takes a photo out of its group when it is removed or changes', () => {
+            const scheduler = new PlaylistScheduler({}, createClock(), createRandom());
+            scheduler.add('/a.jpg', { initial: true, perceptualHash: BASE });
+            scheduler.add('/b.jpg', { initial: true, perceptualHash: NEAR });
+            scheduler.add('/c.jpg', { initial: true, perceptualHash: '0000000000000001' });
+
+            scheduler.remove('/c.jpg');
+            assert.deepStrictEqual(getGroups(scheduler), [['/a.jpg', '/b.jpg']]);
+
+            // a group of one is no group
+            scheduler.add('/b.jpg', { initial: true, perceptualHash: OTHER });
+            assert.deepStrictEqual(getGroups(scheduler), []);
+            assert.strictEqual(scheduler.entries.get('/a.jpg').similarGroup, undefined);
+            assert.strictEqual(scheduler.entries.get('/b.jpg').similarGroup, undefined);
+        });
+
+        it('regroups the photos when the distance changes', () => {
+            const scheduler = new PlaylistScheduler({ nearDuplicateDistance: 6 }, createClock(), createRandom());
+            scheduler.add('/a.jpg', { initial: true, perceptualHash: BASE });
+            scheduler.add('/c.jpg', { initial: true, perceptualHash: FAR });
+            assert.deepStrictEqual(getGroups(scheduler), []);
+
+            scheduler.setOptions({ nearDuplicateDistance: 8 });
+            assert.deepStrictEqual(getGroups(scheduler), [['/a.jpg', '/c.jpg']]);
+
+            scheduler.setOptions({ nearDuplicateDistance: -1 });
+            assert.deepStrictEqual(getGroups(scheduler), []);
+        });
+    });
+
+    describe('markShown', () => {
+        it('keeps a restored photo out of the next picks without counting it again', () => {
+            const clock = createClock();
+            const scheduler = new PlaylistScheduler({}, clock, createRandom());
+            scheduler.add('/a.jpg', { initial: true });
+            scheduler.add('/b.jpg', { initial: true });
+            clock.advance(MINUTE);
+            scheduler.markShown('/a.jpg', 1);
+            const entry = scheduler.entries.get('/a.jpg');
+            assert.strictEqual(entry.lastShownAt, clock());
+            assert.strictEqual(entry.showCount, 0);
+            assert.strictEqual(scheduler.next(1), '/b.jpg');
+        });
+    });
+
+    describe('recency boost', () => {
+        it('shows new photos more often than initial ones', () => {
+            const clock = createClock();
+            const scheduler = new PlaylistScheduler({ shuffle: false, recencyBoost: 4 }, clock, createRandom());
+            scheduler.add('/old.jpg', { initial: true });
+            scheduler.add('/new.jpg');
+            const shows = countShows(scheduler, 1000);
+            assert.ok(shows.get('/new.jpg') > shows.get('/old.jpg') * 3);
+        });
+
+        it('gives initial photos no boost', () => {
+            const scheduler = new PlaylistScheduler({}, createClock());
+            scheduler.add('/old.jpg', { initial: true });
+            assert.strictEqual(scheduler.getBoost(scheduler.entries.get('/old.jpg'), scheduler.now()), 0);
+        });
+    });
+
+    describe('pickOverdue', () => {
+        it('is not used while the photos are younger than the limit', () => {
+            const clock = createClock();
+            const scheduler = new PlaylistScheduler({ minExposureMinutes: 10 }, clock, createRandom());
+            scheduler.add('/a.jpg', { initial: true });
+            scheduler.add('/b.jpg', { initial: true });
+            clock.advance(5 * MINUTE);
+            assert.strictEqual(scheduler.pickOverdue([...scheduler.entries.values()], clock()), null);
+        });
+
+        it('counts photos that were never shown as seen when the wall started', () => {
+            const clock = createClock();
+            const scheduler = new PlaylistScheduler({ minExposureMinutes: 10 }, clock, createRandom());
+            clock.advance(8 * MINUTE);
+            scheduler.add('/a.jpg', { initial: true });
+            clock.advance(4 * MINUTE);
+            assert.strictEqual(scheduler.pickOverdue([...scheduler.entries.values()], clock()), null);
+        });
+
+        it('picks the photo unseen the longest', () => {
+            const clock = createClock();
+            const scheduler = new PlaylistScheduler({ minExposureMinutes: 10 }, clock, createRandom());
+            for (const path of ['/a.jpg', '/b.jpg', '/c.jpg']) {
+                scheduler.add(path, { initial: true });
+            }
+            scheduler.entries.get('/a.jpg').lastShownAt = clock() + MINUTE;
+            scheduler.entries.get('/b.jpg').lastShownAt = clock();
+            scheduler.entries.get('/c.jpg').lastShownAt = clock() + 2 * MINUTE;
+            clock.advance(20 * MINUTE);
+            assert.strictEqual(scheduler.pickOverdue([...scheduler.entries.values()], clock()).path, '/b.jpg');
+        });
+
+        it('chooses between photos overdue since the same moment instead of taking the first', () => {
+            const clock = createClock();
+            const scheduler = new PlaylistScheduler({ minExposureMinutes: 1 }, clock, createRandom(7));
+            const paths = ['/a.jpg', '/b.jpg', '/c.jpg', '/d.jpg', '/e.jpg', '/f.jpg'];
+            for (const path of paths) {
+                scheduler.add(path, { initial: true });
+            }
+            const firstPicks = new Set();
+            for (let i = 0; i < 30; i++) {
+                clock.advance(2 * MINUTE);
+                const entries = [...scheduler.entries.values()].filter(entry => entry.lastShownAt === null);
+                firstPicks.add(scheduler.pickOverdue(entries, clock()).path);
+            }
+            assert.ok(firstPicks.size > 1);
+        });
+
+        it('shows a photo that became overdue next', () => {
+            const clock = createClock();
+            const scheduler = new PlaylistScheduler({ minExposureMinutes: 10, shuffle: false }, clock, createRandom());
+            scheduler.add('/a.jpg', { initial: true });
+            scheduler.add('/b.jpg', { initial: true });
+            scheduler.add('/c.jpg', { initial: true });
+            for (let i = 0; i < 3; i++) {
+                scheduler.next();
+            }
+            const first = scheduler.recent[0];
+            scheduler.entries.get(first).lastShownAt = clock() - 30 * MINUTE;
+            assert.strictEqual(scheduler.next(), first);
+        });
+    });
+
+    describe('fairness', () => {
+        it('gives each uploader the same share of the wall', () => {
+            const scheduler = new PlaylistScheduler({ fairness: 'uploader', recencyBoost: 0 }, createClock(), createRandom(3));
+            for (let i = 0; i < 9; i++) {
+                scheduler.add(`/many-${i}.jpg`, { uploader: 'Many', initial: true });
+            }
+            scheduler.add('/one.jpg', { uploader: 'One', initial: true });
+            const shows = countShows(scheduler, 400);
+            const many = [...shows].filter(([path]) => path.startsWith('/many')).reduce((sum, [, count]) => sum + count, 0);
+            const one = shows.get('/one.jpg');
+            assert.ok(Math.abs(many - one) < 80, `Many: ${many}, One: ${one}`);
+        });
+
+        it('groups photos by folder', () => {
+            const scheduler = new PlaylistScheduler({ fairness: 'folder', recencyBoost: 0 }, createClock(), createRandom(5));
+            for (let i = 0; i < 5; i++) {
+                scheduler.add(`/big/${i}.jpg`, { initial: true });
+            }
+            scheduler.add('/small/0.jpg', { initial: true });
+            const shows = countShows(scheduler, 400);
+            assert.ok(shows.get('/small/0.jpg') > 120);
+        });
+    });
+
+    describe('restoreState', () => {
+        it('carries the counts over to photos added later', () => {
+            const clock = createClock();
+            const first = new PlaylistScheduler({}, clock, createRandom());
+            first.add('/a.jpg', { initial: true });
+            first.add('/b.jpg', { initial: true });
+            first.next();
+            first.next();
+            const state = JSON.parse(JSON.stringify(first.getState()));
+
+            const second = new PlaylistScheduler({}, clock, createRandom());
+            second.restoreState(state);
+            second.add('/a.jpg', { initial: true });
+            assert.strictEqual(second.entries.get('/a.jpg').showCount, 1);
+            assert.deepStrictEqual(second.recent, state.recent);
+            // photos that are not back yet are kept in the saved state
+            assert.ok(second.getState().entries.some(entry => entry.path === '/b.jpg'));
+        });
+
+        it('keeps the counts of a photo taken out with keepState', () => {
+            const scheduler = new PlaylistScheduler({}, createClock(), createRandom());
+            scheduler.add('/a.jpg', { initial: true });
+            scheduler.add('/b.jpg', { initial: true });
+            scheduler.next();
+            scheduler.next();
+            scheduler.remove('/a.jpg', { keepState: true });
+            scheduler.remove('/b.jpg');
+            assert.deepStrictEqual(scheduler.getState().entries.map(entry => entry.path), ['/a.jpg']);
+
+            scheduler.add('/a.jpg', { initial: true });
+            scheduler.add('/b.jpg', { initial: true });
+            assert.strictEqual(scheduler.entries.get('/a.jpg').showCount, 1);
+            assert.strictEqual(scheduler.entries.get('/b.jpg').showCount, 0);
+        });
+
+        it('keeps the boost of a photo added in the previous run', () => {
+            const clock = createClock();
+            const first = new PlaylistScheduler({}, clock);
+            first.add('/new.jpg');
+            const state = first.getState();
+
+            clock.advance(MINUTE);
+            const second = new PlaylistScheduler({}, clock);
+            second.add('/new.jpg', { initial: true });
+            second.restoreState(state);
+            assert.ok(second.getBoost(second.entries.get('/new.jpg'), clock()) > 0);
+        });
+    });
+});
+
+describe('hammingDistance', () => {
+    it('counts the bits two hashes differ in', () => {
+        assert.strictEqual(hammingDistance(BASE, BASE), 0);
+        assert.strictEqual(hammingDistance(BASE, NEAR), 4);
+        assert.strictEqual(hammingDistance(NEAR, FAR), 4);
+        assert.strictEqual(hammingDistance(FAR, BASE), 8);
+        assert.strictEqual(hammingDistance(BASE, OTHER), 64);
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { UploadServer } = require('../uploadServer');
+
+const BOUNDARY = 'photowall-test';
+
+function getTempFiles(folder) {
+    return fs.readdirSync(folder).filter(name => name.startsWith('.upload-'));
+}
+
+function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) {
+                resolve();
+            } else if (Date.now() - start > timeout) {
+                reject(new Error('Timed out'));
+            } else {
+                setTimeout(poll, 20);
+            }
+        };
+        poll();
+    });
+}
+
+describe('UploadServer', () => {
+    let folder;
+    let server;
+    let port;
+
+    before(async () => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'photowall-upload-'));
+        server = new UploadServer({
+            port: 0,
+            allowedExtensions: ['.jpg'],
+            getTargetFolder: () => folder
+        });
+        await server.start();
+        port = server.server.address().port;
+    });
+
+    after(() => {
+        server.stop();
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    it('removes the temp file of an upload the client cancels', async () => {
+        const req = http.request({
+            port,
+            method: 'POST',
+            path: '/upload',
+            headers: { 'Content-Type': `multipart/form-data; boundary=${BOUNDARY}` }
+        });
+        req.on('error', () => {});
+        req.write(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="photos"; filename="a.jpg"\r\n` +
+            'Content-Type: image/jpeg\r\n\r\n');
+        req.write(Buffer.alloc(64 * 1024));
+
+        await waitFor(() => getTempFiles(folder).length > 0);
+        req.destroy();
+        await waitFor(() => getTempFiles(folder).length === 0);
+        assert.deepStrictEqual(fs.readdirSync(folder), []);
+    });
+
+    it('removes the temp file of a broken upload', async () => {
+        const response = await new Promise((resolve, reject) => {
+            const req = http.request({
+                port,
+                method: 'POST',
+                path: '/upload',
+                headers: { 'Content-Type': `multipart/form-data; boundary=${BOUNDARY}` }
+            }, resolve);
+            req.on('error', reject);
+            req.write(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="photos"; filename="b.jpg"\r\n` +
+                'Content-Type: image/jpeg\r\n\r\n');
+            // the request ends without the closing boundary
+            req.end(Buffer.alloc(1024));
+        });
+        response.resume();
+
+        assert.strictEqual(response.statusCode, 400);
+        await waitFor(() => getTempFiles(folder).length === 0);
+        assert.deepStrictEqual(fs.readdirSync(folder), []);
+    });
+});
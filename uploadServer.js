@@ -0,0 +1,303 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const busboy = require('busboy');
+
+const UPLOAD_PAGE = path.join(__dirname, 'upload.html');
+// uploader names and captions are kept next to the photos, hidden from the folder watcher
+const UPLOAD_INFO_FILE = '.uploads.json';
+const MAX_FIELD_LENGTH = 200;
+
+const DEFAULT_OPTIONS = {
+    port: 8080,
+    maxFileSize: 50 * 1024 * 1024
+};
+
+function getLanAddress() {
+    const interfaces = os.networkInterfaces();
+    for (const name of Object.keys(interfaces)) {
+        for (const iface of interfaces[name]) {
+            if (iface.family === 'IPv4' && !iface.internal) {
+                return iface.address;
+            }
+        }
+    }
+    return '127.0.0.1';
+}
+
+function sanitizeFileName(fileName) {
+    const baseName = path.basename(fileName || '').replace(/[^\w.\- ]/g, '_').trim();
+    // never write dotfiles, the folder watcher ignores them
+    return baseName.replace(/^\.+/, '') || `upload-${Date.now()}`;
+}
+
+function getUniquePath(folder, fileName) {
+    const ext = path.extname(fileName);
+    const name = path.basename(fileName, ext);
+    let candidate = path.join(folder, fileName);
+    let counter = 1;
+    while (fs.existsSync(candidate)) {
+        candidate = path.join(folder, `${name} (${counter})${ext}`);
+        counter++;
+    }
+    return candidate;
+}
+
+// parsed upload info per folder, read once and kept up to date by recordUploadInfo
+const uploadInfoCache = new Map();
+
+function readUploadInfoFile(folder) {
+    if (uploadInfoCache.has(folder)) {
+        return uploadInfoCache.get(folder);
+    }
+    let uploads = {};
+    try {
+        const infoPath = path.join(folder, UPLOAD_INFO_FILE);
+        if (fs.existsSync(infoPath)) {
+            uploads = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+        }
+    } catch (error) {
+        console.error('UploadServer: Failed to read upload info:', error);
+    }
+    uploadInfoCache.set(folder, uploads);
+    return uploads;
+}
+
+function recordUploadInfo(filePath, info) {
+    if (!info.uploader && !info.caption) {
+        return;
+    }
+
+    const folder = path.dirname(filePath);
+    const uploads = { ...readUploadInfoFile(folder), [path.basename(filePath)]: info };
+    try {
+        fs.writeFileSync(path.join(folder, UPLOAD_INFO_FILE), JSON.stringify(uploads, null, 2));
+        uploadInfoCache.set(folder, uploads);
+    } catch (error) {
+        console.error('UploadServer: Failed to write upload info:', error);
+        uploadInfoCache.delete(folder);
+    }
+}
+
+/**
+ * Returns the uploader name and caption a guest entered for an uploaded photo,
+ * or an empty object if the photo did not come through the upload page.
+ */
+function readUploadInfo(filePath) {
+    return readUploadInfoFile(path.dirname(filePath))[path.basename(filePath)] || {};
+}
+
+function sendJson(res, statusCode, body) {
+    if (res.headersSent) {
+        return;
+    }
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+class UploadServer {
+    /**
+     * @param {Object} options
+     * @param {number} [options.port] - port to listen on
+     * @param {number} [options.maxFileSize] - per-file upload limit in bytes
+     * @param {string[]} options.allowedExtensions - lowercase extensions including the dot
+     * @param {() => string} options.getTargetFolder - returns the folder uploads are written to
+     * @param {(filePath: string) => void} [options.onUpload] - called after each file is saved
+     */
+    constructor(options) {
+        // options left undefined in config keep their defaults
+        const definedOptions = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+        this.options = { ...DEFAULT_OPTIONS, ...definedOptions };
+        this.server = null;
+        this.url = null;
+    }
+
+    start() {
+        if (this.server) {
+            return Promise.resolve(this.url);
+        }
+
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => this.handleRequest(req, res));
+            server.once('error', reject);
+            server.listen(this.options.port, '0.0.0.0', () => {
+                server.removeListener('error', reject);
+                server.on('error', error => console.error('UploadServer: Server error:', error));
+                this.server = server;
+                this.url = `http://${getLanAddress()}:${server.address().port}/`;
+                console.log('UploadServer: Listening at', this.url);
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+            this.url = null;
+            console.log('UploadServer: Stopped');
+        }
+    }
+
+    handleRequest(req, res) {
+        if (req.method === 'GET' && (req.url === '/' || req.url === '/index.html')) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            fs.createReadStream(UPLOAD_PAGE).pipe(res);
+            return;
+        }
+
+        if (req.method === 'POST' && req.url === '/upload') {
+            this.handleUpload(req, res);
+            return;
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    }
+
+    handleUpload(req, res) {
+        const targetFolder = this.options.getTargetFolder();
+        if (!targetFolder || !fs.existsSync(targetFolder)) {
+            sendJson(res, 503, { error: 'The photo wall is not accepting uploads right now.' });
+            return;
+        }
+
+        let parser;
+        try {
+            parser = busboy({ headers: req.headers, limits: { fileSize: this.options.maxFileSize } });
+        } catch (error) {
+            sendJson(res, 400, { error: 'Invalid upload request.' });
+            return;
+        }
+
+        const saved = [];
+        const rejected = [];
+        const pendingWrites = [];
+        const activeWrites = new Set();
+        const fields = {};
+
+        // a dropped connection or a broken request must not leave temp files in the watched folder
+        const cancelWrites = () => {
+            for (const write of activeWrites) {
+                write.cancel();
+            }
+        };
+
+        // the upload page sends its text fields ahead of the files
+        parser.on('field', (name, value) => {
+            if (name === 'uploader' || name === 'caption') {
+                fields[name] = value.trim().slice(0, MAX_FIELD_LENGTH);
+            }
+        });
+
+        parser.on('file', (fieldName, file, info) => {
+            const fileName = sanitizeFileName(info.filename);
+            const ext = path.extname(fileName).toLowerCase();
+
+            if (!this.options.allowedExtensions.includes(ext)) {
+                rejected.push({ file: info.filename, reason: 'Unsupported file type' });
+                file.resume();
+                return;
+            }
+
+            // write to a hidden temp file first so the watcher never sees a partial upload
+            const tempPath = path.join(targetFolder, `.upload-${process.pid}-${Date.now()}-${pendingWrites.length}${ext}`);
+            const output = fs.createWriteStream(tempPath);
+            const write = {};
+            let truncated = false;
+
+            file.on('limit', () => {
+                truncated = true;
+            });
+
+            pendingWrites.push(new Promise(resolve => {
+                const settle = () => {
+                    activeWrites.delete(write);
+                    resolve();
+                };
+
+                // the temp file is only removed once the stream has closed it
+                write.cancel = () => {
+                    activeWrites.delete(write);
+                    file.unpipe(output);
+                    file.resume();
+                    output.once('close', () => fs.unlink(tempPath, () => resolve()));
+                    output.destroy();
+                };
+                activeWrites.add(write);
+
+                output.on('finish', () => {
+                    if (!activeWrites.has(write)) {
+                        return;
+                    }
+                    if (truncated) {
+                        activeWrites.delete(write);
+                        fs.unlink(tempPath, () => resolve());
+                        rejected.push({ file: info.filename, reason: 'File is too large' });
+                        return;
+                    }
+                    try {
+                        const finalPath = getUniquePath(targetFolder, fileName);
+                        recordUploadInfo(finalPath, { ...fields });
+                        fs.renameSync(tempPath, finalPath);
+                        saved.push(path.basename(finalPath));
+                        console.log('UploadServer: Saved upload:', finalPath);
+                        if (this.options.onUpload) {
+                            this.options.onUpload(finalPath);
+                        }
+                    } catch (error) {
+                        console.error('UploadServer: Failed to save upload:', error);
+                        fs.unlink(tempPath, () => {});
+                        rejected.push({ file: info.filename, reason: 'Could not save file' });
+                    }
+                    settle();
+                });
+                output.on('error', error => {
+                    if (!activeWrites.has(write)) {
+                        return;
+                    }
+                    console.error('UploadServer: Failed to write upload:', error);
+                    rejected.push({ file: info.filename, reason: 'Could not save file' });
+                    write.cancel();
+                });
+            }));
+
+            file.on('error', error => {
+                if (!activeWrites.has(write)) {
+                    return;
+                }
+                console.error('UploadServer: Failed to read upload:', error);
+                rejected.push({ file: info.filename, reason: 'Could not save file' });
+                write.cancel();
+            });
+
+            file.pipe(output);
+        });
+
+        parser.on('error', error => {
+            console.error('UploadServer: Upload parse error:', error);
+            req.unpipe(parser);
+            cancelWrites();
+            sendJson(res, 400, { error: 'Upload failed.' });
+        });
+
+        parser.on('close', async () => {
+            await Promise.all(pendingWrites);
+            sendJson(res, saved.length > 0 ? 200 : 400, { saved, rejected });
+        });
+
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                console.log('UploadServer: Upload cancelled by the client');
+                req.unpipe(parser);
+                cancelWrites();
+            }
+        });
+
+        req.pipe(parser);
+    }
+}
+
+module.exports = { UploadServer, getLanAddress, getUniquePath, readUploadInfo };